@@ -1,22 +1,107 @@
 const AudioContext = window.AudioContext || window.webkitAudioContext;
 let audioCtx;
-let isPlaying = false;
-let arpInterval = null;
+let isPlaying = false; // Play button held
 
 // Constants
-const waveforms = ['sine', 'square', 'sawtooth', 'triangle'];
-const arpPattern = [0, 4, 7, 12]; 
-let arpIndex = 0;
-const MAX_VOICES = 8;
+const builtinWaves = ['sine', 'square', 'sawtooth', 'triangle']; // Native OscillatorNode types
+const waveforms = [...builtinWaves, 'pulse', 'noise', 'pink', 'wavetable'];
+const waveLabels = ['Sine', 'Square', 'Saw', 'Tri', 'Pulse', 'Noise', 'Pink', 'Table'];
+const WT_HARMONICS = 64; // Partials per wavetable frame
+const WT_MAX_FRAMES = 64;
+const WT_FRAME_SIZE = 2048; // Samples per frame in multi-frame wavetable WAVs
+const playButtonChord = [60, 64, 67, 72]; // Held by the Play button when the arp is on
+const SEQ_MAX_STEPS = 64;
+const SEQ_PATTERNS = 8;
+const SEQ_PAGE_SIZE = 16;
+const arpDivisions = { '1/4': 1, '1/8': 1 / 2, '1/8T': 1 / 3, '1/16': 1 / 4, '1/16T': 1 / 6, '1/32': 1 / 8 }; // In beats
+const lfoDivisions = { '4/1': 16, '2/1': 8, '1/1': 4, '1/2': 2, ...arpDivisions }; // Beats per LFO cycle when synced
+const lfoWaves = ['sine', 'triangle', 'sawtooth', 'square', 'sh'];
+const LFO_COUNT = 2;
+const MOD_SLOTS = 8;
+const modSources = ['none', 'lfo1', 'lfo2', 'ampEnv', 'filterEnv', 'velocity', 'key'];
+// Depth at amount ±1 for each destination, in the units of the AudioParam it drives
+const modDestinations = {
+    none: 0,
+    pitch: 1200, osc1_pitch: 1200, osc2_pitch: 1200, osc3_pitch: 1200, // cents
+    osc1_gain: 1, osc2_gain: 1, osc3_gain: 1,
+    osc1_pan: 1, osc2_pan: 1, osc3_pan: 1,
+    osc1_pw: 0.9, osc2_pw: 0.9, osc3_pw: 0.9, // comparator offset, ±0.45 of pulse width
+    osc1_fm: 1, osc2_fm: 1, osc3_fm: 1, // share of the osc's FM index (0 to 2x at +1)
+    cutoff: 4800, cutoff2: 4800, // cents on the filter detune buses
+    resonance: 10,
+    pan: 1
+};
+const delayDivisions = { '1/2': 2, '1/4D': 1.5, '1/4': 1, '1/8D': 0.75, '1/4T': 2 / 3, '1/8': 1 / 2, '1/8T': 1 / 3, '1/16': 1 / 4 }; // In beats
+const fxNames = ['drive', 'chorus', 'delay', 'reverb'];
+const filterTypes = ['lowpass', 'highpass', 'bandpass', 'notch', 'peaking', 'lowshelf', 'highshelf', 'allpass', 'bandreject'];
+const FILTER_MAX_FREQ = 20000; // Cutoff ceiling; also held below Nyquist per context
+const SH_STEP_RATE = 100; // Steps per second of the sample & hold buffer at playbackRate 1
+const SH_STEPS = 256;
+const MAX_VOICES = 16; // Ceiling for the polyphony setting
+const STEAL_FADE = 0.005; // Seconds to fade out a stolen voice
+const RETRIGGER_FADE = 0.003; // Seconds a hard retrigger takes to dip to zero
+const ENV_CURVE_POINTS = 64; // Points per envelope segment curve
+const ENV_LOOP_HORIZON = 60; // Seconds of looping envelope cycles scheduled per key-down
+const ENV_LOOP_MAX_SEGMENTS = 1000;
 const SMOOTHING_TIME = 0.015; // 15ms for fast response but no zipper noise
+const SCHEDULE_AHEAD = 0.1; // Seconds of notes committed to the audio clock in advance
+const SCHEDULER_INTERVAL = 25; // ms between scheduler wake-ups
+const HISTORY_LIMIT = 100; // Undo steps kept (and persisted)
+const CC_GESTURE_IDLE = 500; // ms without CC movement that ends a CC sweep
+const PATCH_VERSION = 2; // Bump when parameters are added/renamed and add a migration below
+const PATCH_FORMAT = 'poly-osc-synth/patch';
+const BANK_FORMAT = 'poly-osc-synth/bank';
 
 // MIDI State
 let midiAccess = null;
 let midiInput = null; // Notes Input
 let midiCCInput = null; // CC Input
+const PERFORMANCE_CCS = new Set([1, 64, 66]); // Mod wheel, sustain, sostenuto: played, not mapped
 let selectedMidiDevice = "-1";
 let selectedMidiCCDevice = "-1";
 let selectedMidiChannel = -1; // -1 = Omni
+let midiClockSync = false; // Arp follows incoming MIDI clock instead of arpRate
+
+// Performance Controller State
+let pitchBend = 0; // -1 to 1
+let modWheel = 0; // 0 to 1
+let channelPressure = 0; // 0 to 1
+const polyPressure = new Map(); // note -> 0 to 1
+// Pedal State
+let sustainPedal = false;
+let sostenutoPedal = false;
+const heldKeys = new Set(); // Keys physically down
+const sustainedNotes = new Set(); // Keys released while a pedal keeps them sounding
+let sostenutoNotes = new Set(); // Keys captured when sostenuto went down
+
+const performanceParams = ['tremDepth', 'bendRange', 'modVibrato', 'modCutoff', 'modTrem', 'atVibrato', 'atCutoff', 'atTrem'];
+
+// MIDI Learn State
+let midiLearnActive = false;
+let midiLearnTarget = null; // Param waiting for a CC
+let lastLearned = null; // { mapping, time } used to detect 14-bit LSB partners
+let ccSaveTimer = null;
+const ccMsbValues = {};
+
+// Default CC profile: CC 0-15 in panel order
+const defaultMidiMappings = [
+    { cc: 0, param: 'filterFreq', min: 20, max: 10000, curve: 'exp', invert: false, hiRes: false },
+    { cc: 1, param: 'filterQ', min: 0, max: 20, curve: 'linear', invert: false, hiRes: false },
+    { cc: 2, param: 'tremRate', min: 0.1, max: 20, curve: 'linear', invert: false, hiRes: false },
+    { cc: 3, param: 'tremDepth', min: 0, max: 1, curve: 'linear', invert: false, hiRes: false },
+    { cc: 4, param: 'attack', min: 0, max: 2, curve: 'linear', invert: false, hiRes: false },
+    { cc: 5, param: 'decay', min: 0, max: 2, curve: 'linear', invert: false, hiRes: false },
+    { cc: 6, param: 'sustain', min: 0, max: 1, curve: 'linear', invert: false, hiRes: false },
+    { cc: 7, param: 'release', min: 0, max: 3, curve: 'linear', invert: false, hiRes: false },
+    { cc: 8, param: 'f_attack', min: 0, max: 2, curve: 'linear', invert: false, hiRes: false },
+    { cc: 9, param: 'f_decay', min: 0, max: 2, curve: 'linear', invert: false, hiRes: false },
+    { cc: 10, param: 'f_sustain', min: 0, max: 1, curve: 'linear', invert: false, hiRes: false },
+    { cc: 11, param: 'f_release', min: 0, max: 3, curve: 'linear', invert: false, hiRes: false },
+    { cc: 12, param: 'osc1_semi', min: -12, max: 12, curve: 'linear', invert: false, hiRes: false },
+    { cc: 13, param: 'osc2_semi', min: -12, max: 12, curve: 'linear', invert: false, hiRes: false },
+    { cc: 14, param: 'osc3_semi', min: -12, max: 12, curve: 'linear', invert: false, hiRes: false },
+    { cc: 15, param: 'pan', min: -1, max: 1, curve: 'linear', invert: false, hiRes: false }
+];
 
 // Default Settings
 const defaultSettings = {
@@ -24,9 +109,35 @@ const defaultSettings = {
     midiDevice: "-1",
     midiCCDevice: "-1",
     midiChannel: -1,
+    midiClockSync: false,
+    midiMappings: defaultMidiMappings,
+
+    presetId: 'factory-init',
+    abMorph: 0, // A/B morph position, 0 = A, 1 = B
 
     arpEnabled: false,
     arpRate: 120,
+    arpMode: 'up',
+    arpOctaves: 1,
+    arpDivision: '1/8',
+    arpGate: 0.8,
+    arpSwing: 0,
+    arpLatch: false,
+    // Voice
+    voiceMode: 'poly',
+    notePriority: 'last',
+    glideTime: 0,
+    glideMode: 'legato',
+    polyphony: 8,
+    stealMode: 'oldest',
+    unisonVoices: 1,
+    unisonDetune: 20,
+    unisonWidth: 0.5,
+    // Sequencer
+    seqDivision: '1/16',
+    seqMode: 'pattern',
+    seqPatterns: createDefaultPatterns(),
+    seqChain: [0],
     // Osc 1
     osc1_waveform: 2,
     osc1_octave: 0,
@@ -34,6 +145,9 @@ const defaultSettings = {
     osc1_detune: 0,
     osc1_pan: 0,
     osc1_gain: 0.5,
+    osc1_pw: 0.5,
+    osc1_wtPos: 0,
+    osc1_wavetable: createDefaultWavetable(),
     // Osc 2
     osc2_waveform: 2,
     osc2_octave: 0,
@@ -41,6 +155,9 @@ const defaultSettings = {
     osc2_detune: 0,
     osc2_pan: 0,
     osc2_gain: 0.5,
+    osc2_pw: 0.5,
+    osc2_wtPos: 0,
+    osc2_wavetable: createDefaultWavetable(),
     // Osc 3
     osc3_waveform: 2,
     osc3_octave: -1,
@@ -48,60 +165,341 @@ const defaultSettings = {
     osc3_detune: 0,
     osc3_pan: 0,
     osc3_gain: 0.5,
+    osc3_pw: 0.5,
+    osc3_wtPos: 0,
+    osc3_wavetable: createDefaultWavetable(),
+    // Cross Modulation
+    osc1_fmSrc: 'off',
+    osc1_fmAmt: 0,
+    osc1_fmEnv: 0,
+    osc1_ringSrc: 'off',
+    osc2_fmSrc: 'off',
+    osc2_fmAmt: 0,
+    osc2_fmEnv: 0,
+    osc2_ringSrc: 'off',
+    osc2_sync: false,
+    osc3_fmSrc: 'off',
+    osc3_fmAmt: 0,
+    osc3_fmEnv: 0,
+    osc3_ringSrc: 'off',
+    osc3_sync: false,
+    fmAttack: 0,
+    fmDecay: 1,
     // Filter
     filterType: 'lowpass',
+    filterSlope: '12',
     filterFreq: 2000,
     filterQ: 1,
+    filterGain: 0,
     filterEnvAmt: 0,
+    filterKeyTrack: 0,
+    filterDrive: 0,
+    filterRouting: 'serial',
+    // Filter 2
+    filter2On: false,
+    filter2Type: 'highpass',
+    filter2Slope: '12',
+    filter2Freq: 100,
+    filter2Q: 1,
+    filter2Gain: 0,
+    filter2EnvAmt: 0,
     // Filter ADSR
     f_attack: 0.1,
     f_decay: 0.1,
     f_sustain: 0.5,
     f_release: 0.5,
+    f_delay: 0,
+    f_hold: 0,
+    f_curve: 0,
+    f_loop: false,
     // Amp ADSR
     attack: 0.1,
     decay: 0.1,
     sustain: 0.5,
     release: 0.5,
+    ampDelay: 0,
+    ampHold: 0,
+    ampAttackCurve: 0, // Linear, like the attack before curves were selectable
+    ampCurve: 1, // Decay and release
+    ampLoop: false,
+    envRetrigger: 'soft',
+    // Velocity
+    velAmp: 0, // 0 keeps patches from before velocity sensitivity at full level
+    velFilter: 0,
+    velAttack: 0,
+    velCurve: 0,
+    // LFOs (mod matrix slots are added below)
+    lfo1_wave: 'sine',
+    lfo1_rate: 2,
+    lfo1_sync: false,
+    lfo1_division: '1/4',
+    lfo1_retrig: false,
+    lfo2_wave: 'sine',
+    lfo2_rate: 0.5,
+    lfo2_sync: false,
+    lfo2_division: '1/4',
+    lfo2_retrig: false,
+    // FX Chain
+    fxOrder: ['drive', 'chorus', 'delay', 'reverb'],
+    driveOn: false,
+    driveAmount: 0.3,
+    driveTone: 8000,
+    driveMix: 1,
+    chorusOn: false,
+    chorusMode: 'chorus',
+    chorusRate: 0.8,
+    chorusDepth: 0.5,
+    chorusFeedback: 0.5,
+    chorusMix: 0.5,
+    delayOn: false,
+    delayTime: 0.35,
+    delaySync: false,
+    delayDivision: '1/8D',
+    delayMode: 'pingpong',
+    delayFeedback: 0.35,
+    delayTone: 5000,
+    delayMix: 0.25,
+    reverbOn: false,
+    reverbSize: 2.5,
+    reverbPreDelay: 0.02,
+    reverbDamp: 0.5,
+    reverbMix: 0.25,
     // Tremolo
     tremRate: 5,
     tremDepth: 0,
+    // Performance Controllers
+    bendRange: 2,
+    vibRate: 5.5,
+    modVibrato: 25,
+    modCutoff: 0,
+    modTrem: 0,
+    atVibrato: 0,
+    atCutoff: 0,
+    atTrem: 0,
     // Master
     pan: 0,
     volume: 0.5
 };
 
-let settings = { ...defaultSettings };
+for (let k = 1; k <= MOD_SLOTS; k++) {
+    defaultSettings[`mod${k}_src`] = 'none';
+    defaultSettings[`mod${k}_dst`] = 'none';
+    defaultSettings[`mod${k}_amt`] = 0;
+}
+
+// Keys in settings that belong to this machine rather than to a patch
+const globalSettingKeys = ['midiDevice', 'midiCCDevice', 'midiChannel', 'midiClockSync', 'midiMappings', 'presetId', 'abMorph'];
+
+// Factory Bank (patches are overrides on top of defaultSettings)
+const factoryPresets = [
+    {
+        id: 'factory-init', name: 'Init', category: 'Init', tags: ['basic'],
+        patch: {}
+    },
+    {
+        id: 'factory-fat-saw-bass', name: 'Fat Saw Bass', category: 'Bass', tags: ['analog', 'fat', 'dark'],
+        patch: {
+            osc1_waveform: 2, osc1_octave: -1, osc1_gain: 0.6,
+            osc2_waveform: 2, osc2_octave: -1, osc2_detune: 8, osc2_gain: 0.5,
+            osc3_waveform: 1, osc3_octave: -2, osc3_gain: 0.4,
+            filterFreq: 600, filterQ: 4, filterEnvAmt: 1800,
+            f_attack: 0.01, f_decay: 0.25, f_sustain: 0.2, f_release: 0.2,
+            attack: 0.005, decay: 0.3, sustain: 0.7, release: 0.15
+        }
+    },
+    {
+        id: 'factory-sub-bass', name: 'Sub Bass', category: 'Bass', tags: ['sub', 'clean', 'mono'],
+        patch: {
+            voiceMode: 'mono', notePriority: 'low',
+            osc1_waveform: 0, osc1_octave: -1, osc1_gain: 0.8,
+            osc2_waveform: 3, osc2_octave: -1, osc2_gain: 0.3,
+            osc3_waveform: 0, osc3_octave: -2, osc3_gain: 0,
+            filterFreq: 800, filterQ: 0.5,
+            attack: 0.01, decay: 0.2, sustain: 0.9, release: 0.1
+        }
+    },
+    {
+        id: 'factory-soft-pad', name: 'Soft Pad', category: 'Pad', tags: ['warm', 'slow', 'wide'],
+        patch: {
+            unisonVoices: 3, unisonDetune: 12, unisonWidth: 0.6,
+            chorusOn: true, chorusMix: 0.4, reverbOn: true, reverbSize: 4, reverbMix: 0.35,
+            osc1_waveform: 2, osc1_detune: -7, osc1_pan: -0.5, osc1_gain: 0.4,
+            osc2_waveform: 2, osc2_detune: 7, osc2_pan: 0.5, osc2_gain: 0.4,
+            osc3_waveform: 3, osc3_octave: 1, osc3_gain: 0.2,
+            filterFreq: 1200, filterQ: 1, filterEnvAmt: 600,
+            f_attack: 1.5, f_decay: 1.5, f_sustain: 0.6, f_release: 2.5,
+            attack: 1.2, decay: 1, sustain: 0.8, release: 2.5,
+            tremRate: 0.5, tremDepth: 0.15
+        }
+    },
+    {
+        id: 'factory-glass-pad', name: 'Glass Pad', category: 'Pad', tags: ['bright', 'airy'],
+        patch: {
+            osc1_waveform: 0, osc1_gain: 0.5,
+            osc2_waveform: 3, osc2_octave: 1, osc2_detune: 4, osc2_pan: -0.4, osc2_gain: 0.3,
+            osc3_waveform: 0, osc3_octave: 2, osc3_semi: 7, osc3_pan: 0.4, osc3_gain: 0.15,
+            filterType: 'highpass', filterFreq: 300, filterQ: 2,
+            attack: 0.8, decay: 1.5, sustain: 0.7, release: 3,
+            tremRate: 3, tremDepth: 0.1
+        }
+    },
+    {
+        id: 'factory-square-lead', name: 'Square Lead', category: 'Lead', tags: ['retro', 'bright'],
+        patch: {
+            osc1_waveform: 1, osc1_gain: 0.5,
+            osc2_waveform: 1, osc2_detune: 10, osc2_gain: 0.4,
+            osc3_waveform: 2, osc3_octave: 1, osc3_gain: 0.2,
+            filterFreq: 3000, filterQ: 3, filterEnvAmt: 1500,
+            f_attack: 0.01, f_decay: 0.4, f_sustain: 0.4,
+            attack: 0.01, decay: 0.2, sustain: 0.8, release: 0.2
+        }
+    },
+    {
+        id: 'factory-screamer', name: 'Screamer', category: 'Lead', tags: ['aggressive', 'resonant', 'mono'],
+        patch: {
+            voiceMode: 'legato', glideTime: 0.12,
+            osc1_waveform: 2, osc1_gain: 0.5,
+            osc2_waveform: 2, osc2_semi: 7, osc2_gain: 0.4,
+            osc3_waveform: 1, osc3_octave: -1, osc3_gain: 0.3,
+            filterFreq: 900, filterQ: 12, filterEnvAmt: 3500,
+            f_attack: 0.05, f_decay: 0.6, f_sustain: 0.3, f_release: 0.3,
+            attack: 0.01, decay: 0.3, sustain: 0.9, release: 0.25
+        }
+    },
+    {
+        id: 'factory-pluck', name: 'Pluck', category: 'Pluck', tags: ['short', 'percussive'],
+        patch: {
+            osc1_waveform: 2, osc1_gain: 0.5,
+            osc2_waveform: 1, osc2_octave: 1, osc2_gain: 0.25,
+            osc3_waveform: 3, osc3_octave: -1, osc3_gain: 0.3,
+            filterFreq: 400, filterQ: 2, filterEnvAmt: 4000,
+            f_attack: 0, f_decay: 0.2, f_sustain: 0, f_release: 0.2,
+            attack: 0, decay: 0.35, sustain: 0, release: 0.3
+        }
+    },
+    {
+        id: 'factory-mallet', name: 'Mallet', category: 'Pluck', tags: ['percussive', 'clean'],
+        patch: {
+            osc1_waveform: 0, osc1_gain: 0.6,
+            osc2_waveform: 0, osc2_octave: 2, osc2_gain: 0.2,
+            osc3_waveform: 3, osc3_octave: 1, osc3_semi: 7, osc3_gain: 0.1,
+            filterFreq: 5000, filterQ: 0.5,
+            attack: 0, decay: 0.6, sustain: 0, release: 0.6
+        }
+    },
+    {
+        id: 'factory-tremolo-organ', name: 'Tremolo Organ', category: 'Keys', tags: ['vintage', 'tremolo'],
+        patch: {
+            osc1_waveform: 0, osc1_gain: 0.5,
+            osc2_waveform: 0, osc2_octave: 1, osc2_gain: 0.35,
+            osc3_waveform: 0, osc3_octave: -1, osc3_gain: 0.4,
+            filterFreq: 6000, filterQ: 0.5,
+            attack: 0.01, decay: 0.1, sustain: 1, release: 0.08,
+            tremRate: 6, tremDepth: 0.4
+        }
+    },
+    {
+        id: 'factory-arp-pulse', name: 'Arp Pulse', category: 'Sequence', tags: ['arp', 'rhythmic'],
+        patch: {
+            arpEnabled: true, arpRate: 132,
+            delayOn: true, delaySync: true, delayDivision: '1/8D', delayFeedback: 0.4, delayMix: 0.3,
+            osc1_waveform: 1, osc1_gain: 0.5,
+            osc2_waveform: 2, osc2_detune: 6, osc2_gain: 0.4,
+            osc3_waveform: 1, osc3_octave: -1, osc3_gain: 0.3,
+            filterFreq: 700, filterQ: 6, filterEnvAmt: 2500,
+            f_attack: 0, f_decay: 0.15, f_sustain: 0.1, f_release: 0.1,
+            attack: 0, decay: 0.2, sustain: 0.3, release: 0.1
+        }
+    },
+    {
+        id: 'factory-fm-bell', name: 'FM Bell', category: 'Keys', tags: ['fm', 'metallic'],
+        patch: {
+            osc1_waveform: 0, osc1_gain: 0.6, osc1_fmSrc: 'osc2', osc1_fmAmt: 3.5, osc1_fmEnv: 0.8,
+            osc2_waveform: 0, osc2_octave: 1, osc2_detune: 40, osc2_gain: 0,
+            osc3_waveform: 0, osc3_octave: 2, osc3_gain: 0.08,
+            fmAttack: 0, fmDecay: 1.8,
+            filterFreq: 9000, filterQ: 0.5,
+            attack: 0, decay: 3, sustain: 0, release: 1.5,
+            reverbOn: true, reverbSize: 3, reverbMix: 0.25
+        }
+    },
+    {
+        id: 'factory-sync-lead', name: 'Sync Lead', category: 'Lead', tags: ['sync', 'aggressive'],
+        patch: {
+            voiceMode: 'legato', glideTime: 0.05,
+            osc1_waveform: 2, osc1_gain: 0,
+            osc2_waveform: 2, osc2_octave: 1, osc2_semi: 5, osc2_gain: 0.6, osc2_sync: true,
+            osc3_waveform: 1, osc3_octave: -1, osc3_gain: 0.25,
+            mod1_src: 'filterEnv', mod1_dst: 'osc2_pitch', mod1_amt: 1,
+            filterFreq: 3500, filterQ: 2,
+            f_attack: 0.01, f_decay: 0.6, f_sustain: 0.1, f_release: 0.2,
+            attack: 0.005, decay: 0.3, sustain: 0.8, release: 0.2
+        }
+    }
+];
+
+let settings = clonePatch(defaultSettings);
+let userPresets = [];
+
+// What a voice or effect plays against: the live engine follows `settings` and the performance
+// controllers; offline renders pass a fixed patch with neutral controllers (see renderOffline)
+const liveEngine = {
+    live: true,
+    get patch() { return settings; },
+    get lfoBuses() { return globalLfos.map(lfo => lfo.bus); },
+    random: Math.random
+};
 
 // Voice Class for Polyphony
 class SynthVoice {
-    constructor(ctx, dest) {
+    constructor(ctx, dest, engine = liveEngine) {
         this.ctx = ctx;
         this.dest = dest;
-        this.oscillators = [];
+        this.engine = engine;
+        this.oscillators = []; // Per osc: one oscillator per unison copy
         this.oscGains = []; // Store gains for live mixing
-        this.oscPans = []; 
-        this.filter = null;
+        this.oscPans = []; // Per osc: one panner per unison copy
+        this.unisonSpread = [0]; // Position of each unison copy, -1 to 1
+        this.ampEnvSrc = null; // Mirrors the amp envelope as a signal for the mod matrix
+        this.lfos = []; // { node, own } per LFO; own = retriggered for this note
+        this.modSources = {}; // Static per-note sources (velocity, key), created on demand
+        this.modSlots = []; // { source, gain } per matrix slot
+        this.filters = [null, null]; // FilterSection per filter; filter 2 only when enabled
         this.ampEnv = null;
+        this.ampEnvelope = null; // Envelope schedulers (see Envelope)
+        this.filterEnvelope = null;
+        this.fmEnvelope = null;
         this.masterPan = null; 
         this.tremolo = { osc: null, gain: null, depthNode: null }; // Added depthNode
         this.filterEnvSrc = null; 
         this.filterEnvGain = null; 
+        this.filter2EnvGain = null;
+        this.perf = { pitchSrc: null, vibOsc: null, vibDepth: null, cutoffSrc: null }; // Bend/mod wheel/aftertouch
         this.active = false;
         this.note = null; 
+        this.filterVelScale = 1;
+    }
+
+    get patch() {
+        return this.engine.patch;
     }
 
-    trigger(freq, noteNum) {
+    trigger(freq, noteNum, velocity = 127, time) {
         this.note = noteNum;
+        this.velocity = velocity;
         this.active = true;
-        const now = this.ctx.currentTime;
+        const now = Math.max(time ?? 0, this.ctx.currentTime);
+
+        // Velocity: sensitivity 0 ignores velocity, 1 follows it fully
+        const vel = velocityCurve(velocity / 127, this.patch.velCurve);
+        this.filterVelScale = 1 - this.patch.velFilter * (1 - vel);
 
         // 1. Create Graph Chain
         
         // Master Pan
         if (this.ctx.createStereoPanner) {
             this.masterPan = this.ctx.createStereoPanner();
-            this.masterPan.pan.value = settings.pan;
+            this.masterPan.pan.value = this.patch.pan;
         } else {
             this.masterPan = this.ctx.createGain(); 
         }
@@ -111,9 +509,9 @@ class SynthVoice {
         tremGain.gain.value = 1;
         
         const tremOsc = this.ctx.createOscillator();
-        tremOsc.frequency.value = settings.tremRate;
+        tremOsc.frequency.value = this.patch.tremRate;
         const tremDepthGain = this.ctx.createGain();
-        tremDepthGain.gain.value = settings.tremDepth;
+        tremDepthGain.gain.value = 0;
         
         tremOsc.connect(tremDepthGain);
         tremDepthGain.connect(tremGain.gain);
@@ -124,126 +522,559 @@ class SynthVoice {
         this.ampEnv = this.ctx.createGain();
         this.ampEnv.gain.value = 0;
 
-        // Filter
-        this.filter = this.ctx.createBiquadFilter();
-        this.filter.type = settings.filterType;
-        
-        let baseF = settings.filterFreq;
-        if (settings.filterType === 'lowpass' && baseF > 10000) baseF = 10000;
-        this.filter.frequency.value = baseF;
-        this.filter.Q.value = settings.filterQ;
+        // Filters: pre-filter drive, then filter 1 and (optionally) filter 2 in serial or parallel.
+        // Cutoff modulation is summed on buses that outlive a filter rebuilt for a new type or slope
+        this.filterInput = this.ctx.createGain();
+        this.filterDrive = this.ctx.createWaveShaper();
+        this.filterDrive.oversample = '2x';
+        this.filterMakeup = this.ctx.createGain();
+        this.filterInput.connect(this.filterDrive);
+        this.filterDrive.connect(this.filterMakeup);
+        this.updateFilterDrive(true);
+
+        this.cutoffHz = [this.ctx.createGain(), this.ctx.createGain()];
+        this.cutoffCents = [this.ctx.createGain(), this.ctx.createGain()];
+        this.cutoffCents[0].connect(this.cutoffCents[1]); // Filter 2 follows filter 1's key tracking and cutoff mod
+        this.keyTrackSrc = this.ctx.createConstantSource();
+        this.keyTrackSrc.offset.value = this.keyTrackCents();
+        this.keyTrackSrc.connect(this.cutoffCents[0]);
+        this.keyTrackSrc.start(now);
 
-        // Filter Envelope Modulation
+        this.buildFilter(1);
+        this.buildFilter(2);
+
+        // Filter Envelope Modulation (own depth per filter)
         this.filterEnvSrc = this.ctx.createConstantSource();
         this.filterEnvSrc.offset.value = 0;
         this.filterEnvGain = this.ctx.createGain();
-        this.filterEnvGain.gain.value = settings.filterEnvAmt;
+        this.filterEnvGain.gain.value = this.patch.filterEnvAmt * this.filterVelScale;
+        this.filter2EnvGain = this.ctx.createGain();
+        this.filter2EnvGain.gain.value = this.patch.filter2EnvAmt * this.filterVelScale;
         
         this.filterEnvSrc.connect(this.filterEnvGain);
-        this.filterEnvGain.connect(this.filter.frequency);
+        this.filterEnvSrc.connect(this.filter2EnvGain);
+        this.filterEnvGain.connect(this.cutoffHz[0]);
+        this.filter2EnvGain.connect(this.cutoffHz[1]);
         this.filterEnvSrc.start(now);
 
+        // Performance Controllers: pitch bend + vibrato feed every osc detune, cutoff offset feeds the filter
+        const pitchSrc = this.ctx.createConstantSource();
+        pitchSrc.offset.value = 0;
+        const vibOsc = this.ctx.createOscillator();
+        vibOsc.frequency.value = this.patch.vibRate;
+        const vibDepth = this.ctx.createGain();
+        vibDepth.gain.value = 0;
+        vibOsc.connect(vibDepth);
+        const cutoffSrc = this.ctx.createConstantSource();
+        cutoffSrc.offset.value = 0;
+        this.cutoffHz.forEach(bus => cutoffSrc.connect(bus));
+        pitchSrc.start(now);
+        vibOsc.start(now);
+        cutoffSrc.start(now);
+        this.perf = { pitchSrc, vibOsc, vibDepth, cutoffSrc };
+        this.updatePerformance(true);
+
         // Chain Construction
-        this.filter.connect(this.ampEnv);
+        this.connectFilters();
         this.ampEnv.connect(tremGain);
         tremGain.connect(this.masterPan);
         this.masterPan.connect(this.dest);
 
-        // Oscillators
+        // Oscillators: each osc is stacked into unison copies spread across detune and stereo
         this.oscillators = [];
         this.oscGains = [];
         this.oscPans = [];
+        this.oscShapers = [];
+        this.oscTaps = []; // Raw osc outputs (before ring mod) that feed FM and ring mod
+        this.ringGains = [];
+        this.pwSources = [];
+        this.oscWaves = [];
+        this.freq = freq;
+        const count = this.patch.unisonVoices;
+        this.unisonSpread = Array.from({ length: count }, (_, u) => (count === 1 ? 0 : (u / (count - 1)) * 2 - 1));
         
         for (let i = 1; i <= 3; i++) {
-            const osc = this.ctx.createOscillator();
             const gain = this.ctx.createGain();
+            gain.gain.value = this.patch[`osc${i}_gain`] / Math.sqrt(count);
+            gain.connect(this.filterInput);
+            this.oscGains.push(gain);
+            this.buildOscCopies(i, freq, now);
+        }
+
+        // FM index envelope, shared by every FM route of the voice
+        this.fmEnvSrc = this.ctx.createConstantSource();
+        this.fmEnvSrc.offset.value = 0;
+        this.fmEnvSrc.start(now);
+        this.fmLinks = [];
+        this.ringLinks = [];
+        this.buildCrossMod();
+
+        this.ampEnvSrc = this.ctx.createConstantSource();
+        this.ampEnvSrc.offset.value = 0;
+        this.ampEnvSrc.start(now);
+        this.buildModulation(now);
+
+        this.ampEnvelope = new Envelope(this.ctx, [this.ampEnv.gain, this.ampEnvSrc.offset]);
+        this.filterEnvelope = new Envelope(this.ctx, [this.filterEnvSrc.offset]);
+        this.fmEnvelope = new Envelope(this.ctx, [this.fmEnvSrc.offset]);
+        this.startEnvelopes(now, false);
+    }
+
+    // (Re)builds filter `n` (1 or 2) for its current type and slope
+    buildFilter(n) {
+        const old = this.filters[n - 1];
+        if (old) old.dispose();
+        this.filters[n - 1] = null;
+        if (n === 2 && !this.patch.filter2On) return;
+
+        const prefix = n === 1 ? 'filter' : 'filter2';
+        const section = new FilterSection(this.ctx, this.patch[`${prefix}Type`], this.patch[`${prefix}Slope`]);
+        section.attach(this.cutoffHz[n - 1], 'frequency');
+        section.attach(this.cutoffCents[n - 1], 'detune');
+        this.filters[n - 1] = section;
+        this.updateFilter(n, true);
+    }
+
+    updateFilter(n, immediate = false) {
+        const section = this.filters[n - 1];
+        if (!section) return;
+        const prefix = n === 1 ? 'filter' : 'filter2';
+        section.update(this.patch[`${prefix}Freq`], this.patch[`${prefix}Q`], this.patch[`${prefix}Gain`], immediate ? undefined : this.ctx.currentTime);
+    }
+
+    // Serial: drive -> 1 -> 2 -> amp. Parallel: drive feeds both and they sum into the amp
+    connectFilters() {
+        try { this.filterMakeup.disconnect(); } catch(e){}
+        this.filters.forEach(f => { if (f) { try { f.output.disconnect(); } catch(e){} } });
+
+        const [first, second] = this.filters;
+        this.filterMakeup.connect(first.input);
+        if (!second) {
+            first.output.connect(this.ampEnv);
+        } else if (this.patch.filterRouting === 'parallel') {
+            this.filterMakeup.connect(second.input);
+            first.output.connect(this.ampEnv);
+            second.output.connect(this.ampEnv);
+        } else {
+            first.output.connect(second.input);
+            second.output.connect(this.ampEnv);
+        }
+    }
+
+    // Saturation before the filters; off is a clean (curve-less) pass-through
+    updateFilterDrive(immediate = false) {
+        const drive = this.patch.filterDrive;
+        this.filterDrive.curve = drive > 0 ? getDriveCurve(1 + drive * 20) : null;
+        const makeup = 1 - drive * 0.5;
+        if (immediate) this.filterMakeup.gain.value = makeup;
+        else this.filterMakeup.gain.setTargetAtTime(makeup, this.ctx.currentTime, SMOOTHING_TIME);
+    }
+
+    // Cutoff offset for keyboard tracking: 100% follows pitch exactly, pivoting on middle C
+    keyTrackCents() {
+        return this.patch.filterKeyTrack * (this.note - 60) * 100;
+    }
+
+    // Unison copies of osc `i` for its current waveform. Pulse is a saw through a comparator whose
+    // threshold (pwSource) sets the width; noise copies are looped buffers that follow tuning as playback rate.
+    // Synced osc2/osc3 copies run in the sync worklet, which tracks osc1's phase itself
+    buildOscCopies(i, freq, now) {
+        const index = i - 1;
+        const wave = waveforms[this.patch[`osc${i}_waveform`]];
+        const { pitchSrc, vibDepth } = this.perf;
+        const synced = this.patch[`osc${i}_sync`] && (builtinWaves.includes(wave) || wave === 'pulse') && syncWorkletReady.has(this.ctx);
+        const copies = [];
+        const pans = [];
+        const shapers = [];
+        const taps = [];
+        const rings = [];
+
+        let pwSource = null;
+        if (wave === 'pulse') {
+            pwSource = this.ctx.createConstantSource();
+            pwSource.offset.value = pulseOffset(this.patch[`osc${i}_pw`]);
+            pwSource.start(now);
+        }
+        const periodicWave = wave === 'wavetable'
+            ? createWavetableWave(this.ctx, this.patch[`osc${i}_wavetable`], this.patch[`osc${i}_wtPos`])
+            : null;
+
+        this.unisonSpread.forEach((pos, u) => {
+            let osc;
             let panNode;
 
             if (this.ctx.createStereoPanner) {
                 panNode = this.ctx.createStereoPanner();
-                panNode.pan.value = settings[`osc${i}_pan`];
+                panNode.pan.value = this.unisonPan(i, u);
             } else {
                 panNode = this.ctx.createGain();
             }
-            
-            osc.type = waveforms[settings[`osc${i}_waveform`]];
-            osc.frequency.value = freq;
-            
-            const oct = settings[`osc${i}_octave`];
-            const semi = settings[`osc${i}_semi`];
-            const fine = settings[`osc${i}_detune`];
-            const totalCents = (oct * 1200) + (semi * 100) + fine;
-            
-            osc.detune.value = totalCents;
-            gain.gain.value = settings[`osc${i}_gain`];
-            
-            osc.connect(gain);
-            gain.connect(panNode);
-            panNode.connect(this.filter);
-            
-            osc.start(now);
-            
-            this.oscillators.push(osc);
-            this.oscGains.push(gain);
-            this.oscPans.push(panNode);
+
+            if (wave === 'noise' || wave === 'pink') {
+                osc = this.ctx.createBufferSource();
+                osc.buffer = getNoiseBuffer(this.ctx, wave, this.engine.random);
+                osc.loop = true;
+                // Random start points keep unison copies from summing into one signal
+                osc.start(now, this.engine.random() * osc.buffer.duration);
+            } else {
+                osc = synced ? createSyncOscillator(this.ctx) : this.ctx.createOscillator();
+                if (periodicWave) osc.setPeriodicWave(periodicWave);
+                else osc.type = wave === 'pulse' ? 'sawtooth' : wave;
+                osc.frequency.value = freq;
+                osc.start(now);
+            }
+            osc.detune.value = this.oscCents(i, u);
+            pitchSrc.connect(osc.detune);
+            vibDepth.connect(osc.detune);
+            if (synced) {
+                osc.masterFrequency.value = freq;
+                osc.masterDetune.value = this.oscCents(1, u);
+                pitchSrc.connect(osc.masterDetune);
+                vibDepth.connect(osc.masterDetune);
+            }
+
+            let out = osc;
+            if (pwSource) {
+                out = this.ctx.createWaveShaper();
+                out.curve = getPulseCurve();
+                out.oversample = '4x';
+                osc.connect(out);
+                pwSource.connect(out);
+                shapers.push(out);
+            }
+            // Ring mod multiplies by the source osc through this gain's param; unity when unused
+            const ring = this.ctx.createGain();
+            out.connect(ring);
+            ring.connect(panNode);
+            panNode.connect(this.oscGains[index]);
+
+            copies.push(osc);
+            pans.push(panNode);
+            taps.push(out);
+            rings.push(ring);
+        });
+
+        this.oscillators[index] = copies;
+        this.oscPans[index] = pans;
+        this.oscShapers[index] = shapers;
+        this.oscTaps[index] = taps;
+        this.ringGains[index] = rings;
+        this.pwSources[index] = pwSource;
+        this.oscWaves[index] = synced ? `sync-${wave}` : wave;
+    }
+
+    // Rewires every FM and ring route. FM taps raw osc outputs into carrier frequencies, so routes
+    // that would close a loop (1 -> 2 -> 1) are skipped: Web Audio silences cycles without a delay
+    buildCrossMod() {
+        this.fmLinks.forEach(link => {
+            try { link.tap.disconnect(link.gain); } catch(e){}
+            try { link.gain.disconnect(); } catch(e){}
+            try { this.fmEnvSrc.disconnect(link.envGain); } catch(e){}
+            try { link.envGain.disconnect(); } catch(e){}
+            try { link.fmScale.disconnect(); } catch(e){}
+        });
+        this.ringLinks.forEach(link => {
+            try { link.tap.disconnect(link.ring.gain); } catch(e){}
+            link.ring.gain.value = 1;
+        });
+        this.fmLinks = [];
+        this.ringLinks = [];
+
+        const fmSources = getFmRoutes(this.patch);
+        for (let i = 1; i <= 3; i++) {
+            const src = fmSources[i];
+            if (src) {
+                this.oscillators[i - 1].forEach((osc, u) => {
+                    if (!osc.frequency) return; // Noise has no frequency to modulate
+                    const tap = this.oscTaps[src - 1][u % this.oscTaps[src - 1].length];
+                    const gain = this.ctx.createGain();
+                    const envGain = this.ctx.createGain();
+                    const fmScale = this.ctx.createGain(); // Mod matrix "Osc FM" destination
+                    const link = { osc: i, u, tap, gain, envGain, fmScale };
+                    this.setFmDepth(link, this.freq);
+                    tap.connect(gain);
+                    this.fmEnvSrc.connect(envGain);
+                    envGain.connect(gain.gain);
+                    gain.connect(fmScale);
+                    fmScale.connect(osc.frequency);
+                    this.fmLinks.push(link);
+                });
+            }
+
+            const ringSrc = this.patch[`osc${i}_ringSrc`];
+            if (ringSrc !== 'off') {
+                const taps = this.oscTaps[parseInt(ringSrc[3]) - 1];
+                this.ringGains[i - 1].forEach((ring, u) => {
+                    const tap = taps[u % taps.length];
+                    ring.gain.value = 0;
+                    tap.connect(ring.gain);
+                    this.ringLinks.push({ tap, ring });
+                });
+            }
         }
+    }
 
-        // Envelopes
-        // Amp
-        const a = Math.max(0.001, settings.attack);
-        const d = Math.max(0.001, settings.decay);
-        const s = Math.max(0.0001, settings.sustain);
-        
-        this.ampEnv.gain.cancelScheduledValues(now);
-        this.ampEnv.gain.setValueAtTime(0, now);
-        this.ampEnv.gain.linearRampToValueAtTime(1, now + a);
-        this.ampEnv.gain.exponentialRampToValueAtTime(s, now + a + d);
-
-        // Filter Env
-        const fa = Math.max(0.001, settings.f_attack);
-        const fd = Math.max(0.001, settings.f_decay);
-        const fs = settings.f_sustain;
-        
-        this.filterEnvSrc.offset.cancelScheduledValues(now);
-        this.filterEnvSrc.offset.setValueAtTime(0, now);
-        this.filterEnvSrc.offset.linearRampToValueAtTime(1, now + fa);
-        this.filterEnvSrc.offset.linearRampToValueAtTime(fs, now + fa + fd);
+    // Peak deviation in Hz is index x modulator frequency; fmEnv moves that share onto the FM envelope
+    setFmDepth(link, freq, time, glide) {
+        const src = parseInt(this.patch[`osc${link.osc}_fmSrc`][3]);
+        const depth = this.patch[`osc${link.osc}_fmAmt`] * freq * Math.pow(2, this.oscCents(src, link.u) / 1200);
+        const envShare = this.patch[`osc${link.osc}_fmEnv`];
+        [[link.gain.gain, depth * (1 - envShare)], [link.envGain.gain, depth * envShare]].forEach(([param, value]) => {
+            if (glide) {
+                rampAudioParam(param, value, time, glide);
+                return;
+            }
+            paramRamps.delete(param);
+            if (time === undefined) param.value = value;
+            else param.setTargetAtTime(value, time, SMOOTHING_TIME);
+        });
     }
 
-    release() {
-        if (!this.active) return;
-        this.active = false;
+    updateFmDepths(time, glide) {
+        this.fmLinks.forEach(link => this.setFmDepth(link, this.freq, time, glide));
+    }
+
+    // Swaps osc `i` to a waveform that needs a different graph, then re-routes the mod matrix onto it
+    rebuildOsc(i) {
+        const index = i - 1;
         const now = this.ctx.currentTime;
-        const r = Math.max(0.001, settings.release);
-        const fr = Math.max(0.001, settings.f_release);
+        const pitched = this.oscillators.flat().find(osc => osc.frequency);
+        const freq = pitched ? pitched.frequency.value : noteFreq(this.note);
+
+        this.oscillators[index].forEach(osc => { osc.stop(now); try { osc.disconnect(); } catch(e){} });
+        [...this.oscPans[index], ...this.oscShapers[index], ...this.ringGains[index]].forEach(n => { try { n.disconnect(); } catch(e){} });
+        if (this.pwSources[index]) {
+            this.pwSources[index].stop(now);
+            try { this.pwSources[index].disconnect(); } catch(e){}
+        }
+        this.buildOscCopies(i, freq, now);
+        this.buildCrossMod();
+        for (let k = 1; k <= MOD_SLOTS; k++) this.buildModSlot(k);
+    }
+
+    // Retriggered LFOs start with the note; free-running ones tap the shared LFO bus
+    buildModulation(now) {
+        this.lfos = [];
+        for (let i = 1; i <= LFO_COUNT; i++) {
+            if (this.patch[`lfo${i}_retrig`]) {
+                const node = createLfoSource(this.ctx, i, this.engine);
+                node.start(now);
+                this.lfos.push({ node, own: true });
+            } else {
+                this.lfos.push({ node: this.engine.lfoBuses[i - 1], own: false });
+            }
+        }
+        for (let k = 1; k <= MOD_SLOTS; k++) this.buildModSlot(k);
+    }
+
+    getModSource(name) {
+        if (name === 'lfo1' || name === 'lfo2') return this.lfos[parseInt(name[3]) - 1].node;
+        if (name === 'ampEnv') return this.ampEnvSrc;
+        if (name === 'filterEnv') return this.filterEnvSrc;
+        if (!this.modSources[name]) {
+            const src = this.ctx.createConstantSource();
+            src.offset.value = this.staticModValue(name);
+            src.start();
+            this.modSources[name] = src;
+        }
+        return this.modSources[name];
+    }
+
+    // Velocity 0 to 1, key position -1 to 1 around middle C
+    staticModValue(name) {
+        return name === 'velocity' ? this.velocity / 127 : (this.note - 60) / 60;
+    }
+
+    getModTargets(dst) {
+        const match = dst.match(/^osc(\d)_(\w+)$/);
+        if (match) {
+            const index = parseInt(match[1]) - 1;
+            if (match[2] === 'pitch') {
+                // Osc 1's pitch is also the sync master pitch inside synced osc2/osc3 copies
+                const masters = index === 0 ? this.oscillators.flat().filter(osc => osc.masterDetune).map(osc => osc.masterDetune) : [];
+                return [...this.oscillators[index].map(osc => osc.detune), ...masters];
+            }
+            if (match[2] === 'gain') return [this.oscGains[index].gain];
+            if (match[2] === 'pw') return this.pwSources[index] ? [this.pwSources[index].offset] : [];
+            if (match[2] === 'fm') return this.fmLinks.filter(link => link.osc === index + 1).map(link => link.fmScale.gain);
+            return this.oscPans[index].filter(p => p.pan).map(p => p.pan);
+        }
+        if (dst === 'pitch') return this.oscillators.flat().flatMap(osc => (osc.masterDetune ? [osc.detune, osc.masterDetune] : [osc.detune]));
+        if (dst === 'cutoff') return [this.cutoffCents[0]];
+        if (dst === 'cutoff2') return [this.cutoffCents[1]];
+        if (dst === 'resonance') return this.filters.filter(Boolean).flatMap(f => f.resonanceParams);
+        if (dst === 'pan') return this.masterPan.pan ? [this.masterPan.pan] : [];
+        return [];
+    }
 
-        if (this.ampEnv) {
-            this.ampEnv.gain.cancelScheduledValues(now);
-            this.ampEnv.gain.setValueAtTime(this.ampEnv.gain.value, now);
-            this.ampEnv.gain.linearRampToValueAtTime(0, now + r);
+    // (Re)wires one matrix slot: source -> gain (amount x depth) -> destination params
+    buildModSlot(k) {
+        const old = this.modSlots[k - 1];
+        if (old) {
+            try { old.source.disconnect(old.gain); } catch(e){}
+            try { old.gain.disconnect(); } catch(e){}
         }
+        this.modSlots[k - 1] = null;
+
+        const src = this.patch[`mod${k}_src`];
+        const dst = this.patch[`mod${k}_dst`];
+        if (src === 'none' || dst === 'none') return;
+
+        const source = this.getModSource(src);
+        const gain = this.ctx.createGain();
+        gain.gain.value = this.patch[`mod${k}_amt`] * modDestinations[dst];
+        source.connect(gain);
+        this.getModTargets(dst).forEach(p => gain.connect(p));
+        this.modSlots[k - 1] = { source, gain };
+    }
 
-        if (this.filterEnvSrc) {
-            this.filterEnvSrc.offset.cancelScheduledValues(now);
-            this.filterEnvSrc.offset.setValueAtTime(this.filterEnvSrc.offset.value, now);
-            this.filterEnvSrc.offset.linearRampToValueAtTime(0, now + fr);
+    updateLfoRate(i, rate) {
+        const lfo = this.lfos[i - 1];
+        if (lfo && lfo.own) setLfoSourceRate(lfo.node, rate, this.ctx.currentTime);
+    }
+
+    // Tuning of unison copy `u` of osc `i` (1-based) in cents
+    oscCents(i, u) {
+        const oct = this.patch[`osc${i}_octave`];
+        const semi = this.patch[`osc${i}_semi`];
+        const fine = this.patch[`osc${i}_detune`];
+        return (oct * 1200) + (semi * 100) + fine + this.unisonSpread[u] * this.patch.unisonDetune / 2;
+    }
+
+    unisonPan(i, u) {
+        return Math.max(-1, Math.min(1, this.patch[`osc${i}_pan`] + this.unisonSpread[u] * this.patch.unisonWidth));
+    }
+
+    // Current amp envelope level, used to pick the quietest voice to steal
+    level() {
+        return this.active && this.ampEnvelope ? this.ampEnvelope.levelAt(this.ctx.currentTime) : 0;
+    }
+
+    // Runs all three envelopes from the key-down; a soft retrigger starts them from their current level
+    startEnvelopes(now, retrigger) {
+        const vel = velocityCurve(this.velocity / 127, this.patch.velCurve);
+        const ampScale = 1 - this.patch.velAmp * (1 - vel);
+
+        this.ampEnvelope.start(now, {
+            delay: this.patch.ampDelay,
+            attack: Math.max(0.001, this.patch.attack * (1 - this.patch.velAttack * vel)),
+            hold: this.patch.ampHold,
+            decay: Math.max(0.001, this.patch.decay),
+            peak: ampScale,
+            sustain: this.patch.sustain * ampScale,
+            attackCurve: this.patch.ampAttackCurve,
+            curve: this.patch.ampCurve,
+            loop: this.patch.ampLoop
+        }, retrigger);
+
+        this.filterEnvelope.start(now, {
+            delay: this.patch.f_delay,
+            attack: Math.max(0.001, this.patch.f_attack),
+            hold: this.patch.f_hold,
+            decay: Math.max(0.001, this.patch.f_decay),
+            peak: 1,
+            sustain: this.patch.f_sustain,
+            curve: this.patch.f_curve,
+            loop: this.patch.f_loop
+        }, retrigger);
+
+        // FM Env: attack to the full index, then decay away
+        this.fmEnvelope.start(now, {
+            attack: Math.max(0.001, this.patch.fmAttack),
+            decay: Math.max(0.001, this.patch.fmDecay),
+            peak: 1,
+            sustain: 0,
+            curve: 1
+        }, retrigger);
+    }
+
+    // Mono mode / same-note restrike. Soft restarts from the current level, hard dips to zero first,
+    // legato leaves the envelopes (and the first note's velocity) running
+    retrigger(velocity, time) {
+        if (!this.active || this.patch.envRetrigger === 'legato') return;
+        const now = Math.max(time ?? 0, this.ctx.currentTime);
+        this.velocity = velocity;
+        if (this.modSources.velocity) this.modSources.velocity.offset.setValueAtTime(velocity / 127, now);
+        this.filterVelScale = 1 - this.patch.velFilter * (1 - velocityCurve(velocity / 127, this.patch.velCurve));
+        this.filterEnvGain.gain.setValueAtTime(this.patch.filterEnvAmt * this.filterVelScale, now);
+        this.filter2EnvGain.gain.setValueAtTime(this.patch.filter2EnvAmt * this.filterVelScale, now);
+
+        if (this.patch.envRetrigger === 'hard') {
+            [this.ampEnvelope, this.filterEnvelope, this.fmEnvelope].forEach(env => env.release(now, RETRIGGER_FADE, 0));
+            this.startEnvelopes(now + RETRIGGER_FADE, false);
+        } else {
+            this.startEnvelopes(now, true);
         }
+    }
+
+    // Moves the voice to a new note, sliding over `glide` seconds (constant time, linear in pitch)
+    glideTo(freq, noteNum, glide, time) {
+        if (!this.active) return;
+        const now = Math.max(time ?? 0, this.ctx.currentTime);
+        this.note = noteNum;
+        if (this.modSources.key) this.modSources.key.offset.setValueAtTime(this.staticModValue('key'), now);
+        this.freq = freq;
+        this.oscillators.flat().forEach(osc => {
+            // Noise has no frequency; synced copies glide their master along with themselves
+            [osc.frequency, osc.masterFrequency].filter(Boolean).forEach(param => {
+                rampAudioParam(param, freq, now, Math.max(0, glide), true);
+            });
+        });
+        this.updateFmDepths(now, glide > 0 ? glide : undefined);
+        rampAudioParam(this.keyTrackSrc.offset, this.keyTrackCents(), now, Math.max(0, glide));
+        this.updatePerformance();
+    }
+
+    // `fade` overrides the release times, e.g. a quick fade when the voice is stolen
+    release(time, fade) {
+        if (!this.active) return;
+        this.active = false;
+        const now = Math.max(time ?? 0, this.ctx.currentTime);
+        const r = Math.max(0.001, fade ?? this.patch.release);
+        const fr = Math.max(0.001, fade ?? this.patch.f_release);
+
+        // Releases start from the envelopes' computed level at `now`, even when that is ahead of the audio clock
+        if (this.ampEnvelope) this.ampEnvelope.release(now, r, this.patch.ampCurve);
+        if (this.filterEnvelope) this.filterEnvelope.release(now, fr, this.patch.f_curve);
 
         const stopTime = now + r + 0.1;
-        this.oscillators.forEach(osc => osc.stop(stopTime));
+        this.oscillators.flat().forEach(osc => osc.stop(stopTime));
+        this.pwSources.forEach(src => { if (src) src.stop(stopTime); });
+        if (this.fmEnvSrc) this.fmEnvSrc.stop(stopTime);
         if (this.tremolo.osc) this.tremolo.osc.stop(stopTime);
         if (this.filterEnvSrc) this.filterEnvSrc.stop(stopTime + fr);
+        if (this.perf.pitchSrc) this.perf.pitchSrc.stop(stopTime);
+        if (this.perf.vibOsc) this.perf.vibOsc.stop(stopTime);
+        if (this.perf.cutoffSrc) this.perf.cutoffSrc.stop(stopTime + fr);
+        if (this.keyTrackSrc) this.keyTrackSrc.stop(stopTime + fr);
+        if (this.ampEnvSrc) this.ampEnvSrc.stop(stopTime);
+        this.lfos.forEach(lfo => { if (lfo.own) lfo.node.stop(stopTime + fr); });
+        Object.values(this.modSources).forEach(src => src.stop(stopTime + fr));
 
+        // Offline graphs are discarded whole after rendering
+        if (!this.engine.live) return;
         setTimeout(() => {
             this.disconnect();
-        }, (Math.max(r, fr) + 0.2) * 1000);
+        }, (now - this.ctx.currentTime + Math.max(r, fr) + 0.2) * 1000);
     }
 
     disconnect() {
-        this.oscillators.forEach(o => { try { o.disconnect(); } catch(e){} });
+        this.oscillators.flat().forEach(o => { try { o.disconnect(); } catch(e){} });
         this.oscGains.forEach(g => { try { g.disconnect(); } catch(e){} });
-        this.oscPans.forEach(p => { try { p.disconnect(); } catch(e){} });
-        if (this.filter) { try { this.filter.disconnect(); } catch(e){} }
+        this.oscPans.flat().forEach(p => { try { p.disconnect(); } catch(e){} });
+        this.oscShapers.flat().forEach(s => { try { s.disconnect(); } catch(e){} });
+        this.pwSources.forEach(src => { if (src) { try { src.disconnect(); } catch(e){} } });
+        this.ringGains.flat().forEach(g => { try { g.disconnect(); } catch(e){} });
+        this.fmLinks.forEach(link => {
+            try { link.gain.disconnect(); } catch(e){}
+            try { link.envGain.disconnect(); } catch(e){}
+            try { link.fmScale.disconnect(); } catch(e){}
+        });
+        if (this.fmEnvSrc) { try { this.fmEnvSrc.disconnect(); } catch(e){} }
+        this.filters.forEach(f => { if (f) f.dispose(); });
+        [this.filterInput, this.filterDrive, this.filterMakeup, this.keyTrackSrc, ...(this.cutoffHz || []), ...(this.cutoffCents || [])].forEach(n => {
+            if (n) { try { n.disconnect(); } catch(e){} }
+        });
         if (this.ampEnv) { try { this.ampEnv.disconnect(); } catch(e){} }
         if (this.masterPan) { try { this.masterPan.disconnect(); } catch(e){} }
         if (this.tremolo.osc) { try { this.tremolo.osc.disconnect(); } catch(e){} }
@@ -251,33 +1082,122 @@ class SynthVoice {
         if (this.tremolo.depthNode) { try { this.tremolo.depthNode.disconnect(); } catch(e){} }
         if (this.filterEnvSrc) { try { this.filterEnvSrc.disconnect(); } catch(e){} }
         if (this.filterEnvGain) { try { this.filterEnvGain.disconnect(); } catch(e){} }
+        if (this.filter2EnvGain) { try { this.filter2EnvGain.disconnect(); } catch(e){} }
+        Object.values(this.perf).forEach(n => { if (n) { try { n.disconnect(); } catch(e){} } });
+        // Slots fed by a shared LFO bus must be unhooked from it or the bus keeps them alive
+        this.modSlots.forEach(slot => {
+            if (!slot) return;
+            try { slot.source.disconnect(slot.gain); } catch(e){}
+            try { slot.gain.disconnect(); } catch(e){}
+        });
+        this.lfos.forEach(lfo => { if (lfo.own) { try { lfo.node.disconnect(); } catch(e){} } });
+        Object.values(this.modSources).forEach(src => { try { src.disconnect(); } catch(e){} });
+        if (this.ampEnvSrc) { try { this.ampEnvSrc.disconnect(); } catch(e){} }
         this.note = null;
     }
     
+    // Applies pitch bend, mod wheel and aftertouch; immediate when building the voice
+    updatePerformance(immediate = false) {
+        if (!this.perf.pitchSrc) return;
+        const live = this.engine.live;
+        const wheel = live ? modWheel : 0;
+        const pressure = live ? Math.max(channelPressure, polyPressure.get(this.note) || 0) : 0;
+        const bendCents = (live ? pitchBend : 0) * this.patch.bendRange * 100;
+        const vibCents = this.patch.modVibrato * wheel + this.patch.atVibrato * pressure;
+        const cutoffHz = this.patch.modCutoff * wheel + this.patch.atCutoff * pressure;
+        const trem = Math.max(0, Math.min(1, this.patch.tremDepth + this.patch.modTrem * wheel + this.patch.atTrem * pressure));
+
+        const targets = [
+            [this.perf.pitchSrc.offset, bendCents],
+            [this.perf.vibDepth.gain, vibCents],
+            [this.perf.cutoffSrc.offset, cutoffHz],
+            [this.tremolo.depthNode.gain, trem]
+        ];
+        const now = this.ctx.currentTime;
+        targets.forEach(([audioParam, value]) => {
+            if (immediate) audioParam.value = value;
+            else audioParam.setTargetAtTime(value, now, SMOOTHING_TIME);
+        });
+    }
+
+    updateUnisonTuning(i, now) {
+        this.oscillators[i - 1].forEach((osc, u) => osc.detune.setTargetAtTime(this.oscCents(i, u), now, SMOOTHING_TIME));
+        if (i === 1) {
+            this.oscillators.forEach(copies => copies.forEach((osc, u) => {
+                if (osc.masterDetune) osc.masterDetune.setTargetAtTime(this.oscCents(1, u), now, SMOOTHING_TIME);
+            }));
+        }
+        // FM depth follows the modulator's tuning
+        this.updateFmDepths(now);
+    }
+
+    updateUnisonPans(i, now) {
+        this.oscPans[i - 1].forEach((panNode, u) => {
+            if (panNode.pan) panNode.pan.setTargetAtTime(this.unisonPan(i, u), now, SMOOTHING_TIME);
+        });
+    }
+
     updateParams(param, value) {
         if (!this.active) return;
         const now = this.ctx.currentTime;
         
-        // Filter
-        if (param === 'filterFreq' && this.filter) {
-             let target = value;
-             if (settings.filterType === 'lowpass' && target > 10000) target = 10000;
-             this.filter.frequency.setTargetAtTime(target, now, SMOOTHING_TIME);
+        // Filters: type, slope and on/off need new stages (and the resonance mod routes re-aimed)
+        const filterMatch = param.match(/^filter(2?)(Type|Slope|On|Freq|Q|Gain)$/);
+        if (filterMatch) {
+            const n = filterMatch[1] ? 2 : 1;
+            if (['Type', 'Slope', 'On'].includes(filterMatch[2])) {
+                this.buildFilter(n);
+                this.connectFilters();
+                for (let k = 1; k <= MOD_SLOTS; k++) this.buildModSlot(k);
+            } else {
+                this.updateFilter(n);
+            }
+        }
+        if (param === 'filterRouting') this.connectFilters();
+        if (param === 'filterDrive') this.updateFilterDrive();
+        if (param === 'filterKeyTrack') {
+            paramRamps.delete(this.keyTrackSrc.offset);
+            this.keyTrackSrc.offset.setTargetAtTime(this.keyTrackCents(), now, SMOOTHING_TIME);
         }
         if (param === 'filterEnvAmt' && this.filterEnvGain) {
-             this.filterEnvGain.gain.setTargetAtTime(value, now, SMOOTHING_TIME);
+             this.filterEnvGain.gain.setTargetAtTime(value * this.filterVelScale, now, SMOOTHING_TIME);
+        }
+        if (param === 'filter2EnvAmt' && this.filter2EnvGain) {
+             this.filter2EnvGain.gain.setTargetAtTime(value * this.filterVelScale, now, SMOOTHING_TIME);
         }
-        if (param === 'filterQ' && this.filter) this.filter.Q.setTargetAtTime(value, now, SMOOTHING_TIME);
         
         // Tremolo
         if (param === 'tremRate' && this.tremolo.osc) this.tremolo.osc.frequency.setTargetAtTime(value, now, SMOOTHING_TIME);
-        if (param === 'tremDepth' && this.tremolo.depthNode) this.tremolo.depthNode.gain.setTargetAtTime(value, now, SMOOTHING_TIME);
+        if (param === 'vibRate' && this.perf.vibOsc) this.perf.vibOsc.frequency.setTargetAtTime(value, now, SMOOTHING_TIME);
+        if (performanceParams.includes(param)) this.updatePerformance();
+
+        // Mod Matrix: amounts follow live, source/destination changes rewire the slot
+        const modMatch = param.match(/^mod(\d)_(src|dst|amt)$/);
+        if (modMatch) {
+            const k = parseInt(modMatch[1]);
+            const slot = this.modSlots[k - 1];
+            if (modMatch[2] === 'amt' && slot) {
+                slot.gain.gain.setTargetAtTime(value * modDestinations[this.patch[`mod${k}_dst`]], now, SMOOTHING_TIME);
+            } else if (modMatch[2] !== 'amt') {
+                this.buildModSlot(k);
+            }
+        }
+        // Retriggered LFOs can change shape live unless switching to/from sample & hold
+        const lfoMatch = param.match(/^lfo(\d)_wave$/);
+        if (lfoMatch) {
+            const lfo = this.lfos[parseInt(lfoMatch[1]) - 1];
+            if (lfo && lfo.own && lfo.node.type && value !== 'sh') lfo.node.type = value;
+        }
         
         // Master Pan
         if (param === 'pan' && this.masterPan && this.masterPan.pan) {
              this.masterPan.pan.setTargetAtTime(value, now, SMOOTHING_TIME);
         }
 
+        // Unison: the copy count is fixed per note, spread and width follow live
+        if (param === 'unisonDetune') for (let i = 1; i <= 3; i++) this.updateUnisonTuning(i, now);
+        if (param === 'unisonWidth') for (let i = 1; i <= 3; i++) this.updateUnisonPans(i, now);
+
         // Oscillators (Dynamic Index)
         // Param format: osc1_gain, osc2_pan, etc.
         if (param.startsWith('osc')) {
@@ -289,21 +1209,32 @@ class SynthVoice {
                 
                 if (this.oscillators[index]) {
                     if (type === 'gain' && this.oscGains[index]) {
-                        this.oscGains[index].gain.setTargetAtTime(value, now, SMOOTHING_TIME);
+                        this.oscGains[index].gain.setTargetAtTime(value / Math.sqrt(this.unisonSpread.length), now, SMOOTHING_TIME);
                     }
-                    if (type === 'pan' && this.oscPans[index] && this.oscPans[index].pan) {
-                        this.oscPans[index].pan.setTargetAtTime(value, now, SMOOTHING_TIME);
+                    if (type === 'pan') this.updateUnisonPans(index + 1, now);
+                    if (type === 'detune' || type === 'semi' || type === 'octave') this.updateUnisonTuning(index + 1, now);
+                    if (type === 'waveform') {
+                        const wave = waveforms[value];
+                        if (builtinWaves.includes(wave) && builtinWaves.includes(this.oscWaves[index])) {
+                            this.oscillators[index].forEach(osc => { osc.type = wave; });
+                            this.oscWaves[index] = wave;
+                        } else if (wave !== this.oscWaves[index]) {
+                            this.rebuildOsc(index + 1);
+                        }
                     }
-                    if ((type === 'detune' || type === 'semi' || type === 'octave') && this.oscillators[index]) {
-                        // Recalculate total detune
-                        const oct = settings[`osc${index+1}_octave`];
-                        const semi = settings[`osc${index+1}_semi`];
-                        const fine = settings[`osc${index+1}_detune`];
-                        const totalCents = (oct * 1200) + (semi * 100) + fine;
-                        this.oscillators[index].detune.setTargetAtTime(totalCents, now, SMOOTHING_TIME);
+                    if (type === 'fmSrc' || type === 'ringSrc') {
+                        this.buildCrossMod();
+                        for (let k = 1; k <= MOD_SLOTS; k++) this.buildModSlot(k);
                     }
-                    if (type === 'waveform') {
-                        this.oscillators[index].type = waveforms[value];
+                    if (type === 'fmAmt' || type === 'fmEnv') this.updateFmDepths(now);
+                    if (type === 'sync') this.rebuildOsc(index + 1);
+                    if (type === 'pw' && this.pwSources[index]) {
+                        this.pwSources[index].offset.setTargetAtTime(pulseOffset(value), now, SMOOTHING_TIME);
+                    }
+                    // Position and table edits swap the PeriodicWave in place
+                    if ((type === 'wtPos' || type === 'wavetable') && this.oscWaves[index] === 'wavetable') {
+                        const wave = createWavetableWave(this.ctx, this.patch[`osc${index + 1}_wavetable`], this.patch[`osc${index + 1}_wtPos`]);
+                        this.oscillators[index].forEach(osc => osc.setPeriodicWave(wave));
                     }
                 }
             }
@@ -311,6 +1242,151 @@ class SynthVoice {
     }
 }
 
+// --- Envelopes ---
+// Delay/attack/hold/decay/sustain/release on one or more AudioParams, scheduled as value curves.
+// The segment list is kept so the level at any time is computed rather than read from param.value,
+// which lags the schedule (and is meaningless for a release scheduled ahead of the audio clock)
+
+// Progress 0-1 through a segment -> share of the way to its target. Exp is fast then slow (RC-like),
+// Log slow then fast
+function envelopeShape(p, curve) {
+    if (curve === 1) return (1 - Math.exp(-5 * p)) / (1 - Math.exp(-5));
+    if (curve === 2) return (Math.exp(5 * p) - 1) / (Math.exp(5) - 1);
+    return p;
+}
+
+class Envelope {
+    constructor(ctx, params) {
+        this.ctx = ctx;
+        this.params = params;
+        // { start, end, from, to, curve, length }, in time order. `length` is the full curve, so a
+        // segment cut short keeps its shape up to `end`
+        this.segments = [];
+        this.startTime = 0; // Key-down of the current run, for the envelope displays
+    }
+
+    static segmentLevel(seg, time) {
+        if (seg.length <= 0 || time >= seg.start + seg.length) return seg.to;
+        return seg.from + (seg.to - seg.from) * envelopeShape((time - seg.start) / seg.length, seg.curve);
+    }
+
+    levelAt(time) {
+        let level = 0;
+        for (const seg of this.segments) {
+            if (time < seg.start) break;
+            level = Envelope.segmentLevel(seg, Math.min(time, seg.end));
+            if (time < seg.end) break;
+        }
+        return level;
+    }
+
+    // Drops everything after `time` and pins the params to `level` there. A value curve can't be
+    // held part-way without cancelAndHoldAtTime (missing in Firefox), so the curve running at `time`
+    // is cancelled from its start and the part before `time` that is still ahead of the clock re-scheduled
+    cut(time, level) {
+        const running = this.segments.find(seg => seg.start < time && time < seg.end && seg.from !== seg.to);
+        this.segments = this.segments.filter(seg => seg.end <= time);
+        this.params.forEach(param => param.cancelScheduledValues(running ? running.start : time));
+
+        const resume = running ? Math.max(running.start, this.ctx.currentTime) : time;
+        if (running && resume < time) {
+            const values = new Float32Array(ENV_CURVE_POINTS);
+            for (let n = 0; n < ENV_CURVE_POINTS; n++) {
+                values[n] = Envelope.segmentLevel(running, resume + (time - resume) * n / (ENV_CURVE_POINTS - 1));
+            }
+            this.params.forEach(param => {
+                param.setValueAtTime(values[0], resume);
+                param.setValueCurveAtTime(values, resume, time - resume);
+            });
+        }
+        if (running) this.segments.push({ ...running, end: time });
+        this.segments.push({ start: time, end: time, from: level, to: level, curve: 0, length: 0 });
+        this.params.forEach(param => param.setValueAtTime(level, time));
+    }
+
+    // Returns the segment's end time
+    ramp(start, duration, from, to, curve) {
+        const end = start + Math.max(0, duration);
+        if (duration <= 0 || from === to) {
+            this.params.forEach(param => param.setValueAtTime(to, start));
+            this.segments.push({ start, end, from: to, to, curve: 0, length: 0 });
+            return end;
+        }
+        const values = new Float32Array(ENV_CURVE_POINTS);
+        for (let n = 0; n < ENV_CURVE_POINTS; n++) {
+            values[n] = from + (to - from) * envelopeShape(n / (ENV_CURVE_POINTS - 1), curve);
+        }
+        this.params.forEach(param => param.setValueCurveAtTime(values, start, duration));
+        this.segments.push({ start, end, from, to, curve, length: duration });
+        return end;
+    }
+
+    // Starts from zero, or from the current level when `fromCurrent`. Looping repeats attack, hold
+    // and decay (climbing back from the sustain level) until released, scheduled ahead up to a horizon
+    start(time, { delay = 0, attack, hold = 0, decay, peak, sustain, curve, attackCurve = curve, loop = false }, fromCurrent = false) {
+        const from = fromCurrent ? this.levelAt(time) : 0;
+        this.startTime = time;
+        this.cut(time, from);
+        let t = this.ramp(time, delay, from, from, 0);
+        let level = from;
+        loop = loop && attack + hold + decay > 0;
+        do {
+            t = this.ramp(t, attack, level, peak, attackCurve);
+            t = this.ramp(t, hold, peak, peak, 0);
+            t = this.ramp(t, decay, peak, sustain, curve);
+            level = sustain;
+        } while (loop && t - time < ENV_LOOP_HORIZON && this.segments.length < ENV_LOOP_MAX_SEGMENTS);
+    }
+
+    release(time, duration, curve) {
+        const level = this.levelAt(time);
+        this.cut(time, level);
+        this.ramp(time, duration, level, 0, curve);
+    }
+}
+
+// Last ramp scheduled per param by rampAudioParam. Ramps are often scheduled ahead of the audio
+// clock (lookahead, offline renders), where param.value is the value now rather than at `time`
+const paramRamps = new WeakMap(); // param -> { from, to, start, end, exponential }
+
+// Value at `time` according to the recorded ramp, or param.value when none is recorded
+function scheduledValueAt(param, time) {
+    const ramp = paramRamps.get(param);
+    if (!ramp) return param.value;
+    if (time >= ramp.end) return ramp.to;
+    if (time <= ramp.start) return ramp.from;
+    const p = (time - ramp.start) / (ramp.end - ramp.start);
+    return ramp.exponential ? ramp.from * Math.pow(ramp.to / ramp.from, p) : ramp.from + (ramp.to - ramp.from) * p;
+}
+
+// Freezes an automated param at its value at `time` so a new ramp can start from there
+function holdAudioParam(param, time) {
+    const value = scheduledValueAt(param, time);
+    if (param.cancelAndHoldAtTime) {
+        param.cancelAndHoldAtTime(time);
+    } else {
+        param.cancelScheduledValues(time);
+        param.setValueAtTime(value, time);
+    }
+    return value;
+}
+
+// Ramps from wherever the param will be at `time` to `value` over `duration` (0 = jump), recording it
+function rampAudioParam(param, value, time, duration, exponential = false) {
+    const from = holdAudioParam(param, time);
+    if (duration <= 0) param.setValueAtTime(value, time);
+    else if (exponential) param.exponentialRampToValueAtTime(value, time + duration);
+    else param.linearRampToValueAtTime(value, time + duration);
+    paramRamps.set(param, { from, to: value, start: time, end: time + Math.max(0, duration), exponential });
+}
+
+// Shapes normalized velocity (0-1): 0 = linear, 1 = exponential (soft), 2 = logarithmic (hard)
+function velocityCurve(vel, curve) {
+    if (curve === 1) return vel * vel;
+    if (curve === 2) return 1 - (1 - vel) * (1 - vel);
+    return vel;
+}
+
 // Global Audio State
 let masterGainNode = null;
 let activeVoices = new Map();
@@ -318,43 +1394,156 @@ let activeVoices = new Map();
 // UI State
 const uiElements = {};
 const paramMap = {
+    abMorph: { min: 0, max: 1, step: 0.01, type: 'dial' },
     arpEnabled: { type: 'checkbox' },
     arpRate: { min: 60, max: 240, step: 1, type: 'range' },
+    arpMode: { type: 'select', options: ['up', 'down', 'updown', 'random', 'played', 'chord'] },
+    arpOctaves: { min: 1, max: 4, step: 1, type: 'dial' },
+    arpDivision: { type: 'select', options: Object.keys(arpDivisions) },
+    arpGate: { min: 0.05, max: 1, step: 0.01, type: 'dial' },
+    arpSwing: { min: 0, max: 0.5, step: 0.01, type: 'dial' },
+    arpLatch: { type: 'checkbox' },
+
+    voiceMode: { type: 'select', options: ['poly', 'mono', 'legato'] },
+    notePriority: { type: 'select', options: ['last', 'low', 'high'] },
+    glideTime: { min: 0, max: 2, step: 0.01, type: 'dial' },
+    glideMode: { type: 'select', options: ['legato', 'always'] },
+    polyphony: { min: 1, max: MAX_VOICES, step: 1, type: 'dial' },
+    stealMode: { type: 'select', options: ['oldest', 'quietest', 'lowest', 'highest', 'same'] },
+    unisonVoices: { min: 1, max: 8, step: 1, type: 'dial' },
+    unisonDetune: { min: 0, max: 100, step: 1, type: 'dial' },
+    unisonWidth: { min: 0, max: 1, step: 0.01, type: 'dial' },
 
-    filterType: { type: 'select' },
-    filterFreq: { min: 20, max: 20000, step: 1, type: 'range' },
+    seqDivision: { type: 'select', options: Object.keys(arpDivisions) },
+    seqMode: { type: 'select', options: ['pattern', 'chain'] },
+
+    filterType: { type: 'select', options: filterTypes },
+    filterSlope: { type: 'select', options: ['12', '24'] },
+    filterFreq: { min: 20, max: FILTER_MAX_FREQ, step: 1, type: 'range' },
     filterQ: { min: 0, max: 20, step: 0.1, type: 'range' },
+    filterGain: { min: -24, max: 24, step: 0.5, type: 'dial' },
     filterEnvAmt: { min: -5000, max: 5000, step: 10, type: 'range' },
+    filterKeyTrack: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    filterDrive: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    filterRouting: { type: 'select', options: ['serial', 'parallel'] },
+    filter2On: { type: 'checkbox' },
+    filter2Type: { type: 'select', options: filterTypes },
+    filter2Slope: { type: 'select', options: ['12', '24'] },
+    filter2Freq: { min: 20, max: FILTER_MAX_FREQ, step: 1, type: 'dial' },
+    filter2Q: { min: 0, max: 20, step: 0.1, type: 'dial' },
+    filter2Gain: { min: -24, max: 24, step: 0.5, type: 'dial' },
+    filter2EnvAmt: { min: -5000, max: 5000, step: 10, type: 'dial' },
     
     f_attack: { min: 0, max: 2, step: 0.01, type: 'range' },
     f_decay: { min: 0, max: 2, step: 0.01, type: 'range' },
     f_sustain: { min: 0, max: 1, step: 0.01, type: 'range' },
     f_release: { min: 0, max: 3, step: 0.01, type: 'range' },
+    f_delay: { min: 0, max: 2, step: 0.01, type: 'dial' },
+    f_hold: { min: 0, max: 2, step: 0.01, type: 'dial' },
+    f_curve: { min: 0, max: 2, step: 1, type: 'dial', labels: ['Lin', 'Exp', 'Log'] },
+    f_loop: { type: 'checkbox' },
 
     attack: { min: 0, max: 2, step: 0.01, type: 'range' },
     decay: { min: 0, max: 2, step: 0.01, type: 'range' },
     sustain: { min: 0, max: 1, step: 0.01, type: 'range' },
     release: { min: 0, max: 3, step: 0.01, type: 'range' },
+    ampDelay: { min: 0, max: 2, step: 0.01, type: 'dial' },
+    ampHold: { min: 0, max: 2, step: 0.01, type: 'dial' },
+    ampAttackCurve: { min: 0, max: 2, step: 1, type: 'dial', labels: ['Lin', 'Exp', 'Log'] },
+    ampCurve: { min: 0, max: 2, step: 1, type: 'dial', labels: ['Lin', 'Exp', 'Log'] },
+    ampLoop: { type: 'checkbox' },
+    envRetrigger: { type: 'select', options: ['soft', 'hard', 'legato'] },
+
+    velAmp: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    velFilter: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    velAttack: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    velCurve: { min: 0, max: 2, step: 1, type: 'dial', labels: ['Lin', 'Exp', 'Log'] },
+
+    driveOn: { type: 'checkbox' },
+    driveAmount: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    driveTone: { min: 500, max: 20000, step: 10, type: 'dial' },
+    driveMix: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    chorusOn: { type: 'checkbox' },
+    chorusMode: { type: 'select', options: ['chorus', 'flanger'] },
+    chorusRate: { min: 0.05, max: 10, step: 0.05, type: 'dial' },
+    chorusDepth: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    chorusFeedback: { min: 0, max: 0.95, step: 0.01, type: 'dial' },
+    chorusMix: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    delayOn: { type: 'checkbox' },
+    delayTime: { min: 0.01, max: 2, step: 0.01, type: 'dial' },
+    delaySync: { type: 'checkbox' },
+    delayDivision: { type: 'select', options: Object.keys(delayDivisions) },
+    delayMode: { type: 'select', options: ['stereo', 'pingpong'] },
+    delayFeedback: { min: 0, max: 0.95, step: 0.01, type: 'dial' },
+    delayTone: { min: 500, max: 20000, step: 10, type: 'dial' },
+    delayMix: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    reverbOn: { type: 'checkbox' },
+    reverbSize: { min: 0.2, max: 10, step: 0.1, type: 'dial' },
+    reverbPreDelay: { min: 0, max: 0.25, step: 0.005, type: 'dial' },
+    reverbDamp: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    reverbMix: { min: 0, max: 1, step: 0.01, type: 'dial' },
 
     tremRate: { min: 0.1, max: 20, step: 0.1, type: 'dial' },
     tremDepth: { min: 0, max: 1, step: 0.01, type: 'dial' },
+
+    bendRange: { min: 0, max: 24, step: 1, type: 'dial' },
+    vibRate: { min: 0.1, max: 12, step: 0.1, type: 'dial' },
+    modVibrato: { min: 0, max: 100, step: 1, type: 'dial' },
+    modCutoff: { min: -5000, max: 5000, step: 10, type: 'dial' },
+    modTrem: { min: 0, max: 1, step: 0.01, type: 'dial' },
+    atVibrato: { min: 0, max: 100, step: 1, type: 'dial' },
+    atCutoff: { min: -5000, max: 5000, step: 10, type: 'dial' },
+    atTrem: { min: 0, max: 1, step: 0.01, type: 'dial' },
     
     pan: { min: -1, max: 1, step: 0.05, type: 'dial' },
     volume: { min: 0, max: 1, step: 0.01, type: 'range' }
 };
 
+for (let i = 1; i <= LFO_COUNT; i++) {
+    paramMap[`lfo${i}_wave`] = { type: 'select', options: lfoWaves };
+    paramMap[`lfo${i}_rate`] = { min: 0.05, max: 20, step: 0.05, type: 'dial' };
+    paramMap[`lfo${i}_sync`] = { type: 'checkbox' };
+    paramMap[`lfo${i}_division`] = { type: 'select', options: Object.keys(lfoDivisions) };
+    paramMap[`lfo${i}_retrig`] = { type: 'checkbox' };
+}
+
+for (let k = 1; k <= MOD_SLOTS; k++) {
+    paramMap[`mod${k}_src`] = { type: 'select', options: modSources };
+    paramMap[`mod${k}_dst`] = { type: 'select', options: Object.keys(modDestinations) };
+    paramMap[`mod${k}_amt`] = { min: -1, max: 1, step: 0.01, type: 'dial' };
+}
+
 for (let i = 1; i <= 3; i++) {
-    paramMap[`osc${i}_waveform`] = { min: 0, max: 3, step: 1, type: 'dial' };
+    paramMap[`osc${i}_waveform`] = { min: 0, max: waveforms.length - 1, step: 1, type: 'dial', labels: waveLabels };
     paramMap[`osc${i}_octave`] = { min: -2, max: 2, step: 1, type: 'dial' };
     paramMap[`osc${i}_semi`] = { min: -12, max: 12, step: 1, type: 'dial' };
     paramMap[`osc${i}_detune`] = { min: -50, max: 50, step: 1, type: 'dial' };
     paramMap[`osc${i}_pan`] = { min: -1, max: 1, step: 0.05, type: 'dial' };
     paramMap[`osc${i}_gain`] = { min: 0, max: 1, step: 0.01, type: 'dial' };
+    paramMap[`osc${i}_pw`] = { min: 0.05, max: 0.95, step: 0.01, type: 'dial' };
+    paramMap[`osc${i}_wtPos`] = { min: 0, max: 1, step: 0.01, type: 'dial' };
+    // Cross modulation sources are the other two oscillators
+    const others = ['off', ...[1, 2, 3].filter(j => j !== i).map(j => `osc${j}`)];
+    paramMap[`osc${i}_fmSrc`] = { type: 'select', options: others };
+    paramMap[`osc${i}_fmAmt`] = { min: 0, max: 10, step: 0.01, type: 'dial' };
+    paramMap[`osc${i}_fmEnv`] = { min: 0, max: 1, step: 0.01, type: 'dial' };
+    paramMap[`osc${i}_ringSrc`] = { type: 'select', options: others };
+    if (i > 1) paramMap[`osc${i}_sync`] = { type: 'checkbox' };
 }
+paramMap.fmAttack = { min: 0, max: 2, step: 0.01, type: 'dial' };
+paramMap.fmDecay = { min: 0.01, max: 5, step: 0.01, type: 'dial' };
 
 document.addEventListener('DOMContentLoaded', () => {
     loadSettings();
+    loadHistory();
+    loadABSlots();
+    loadRandomizerPrefs();
+    loadPresets();
+    buildModMatrixUI();
     initUI();
+    handleArpChange(); // Picks up a saved arpEnabled
+    initPresetUI();
+    initMidiLearn();
     initMidi();
     setupEventListeners();
     
@@ -373,6 +1562,10 @@ function initAudio() {
         masterGainNode = audioCtx.createGain();
         masterGainNode.connect(audioCtx.destination);
         masterGainNode.gain.value = settings.volume;
+        initAnalyser();
+        initFx();
+        initLfos();
+        loadSyncWorklet(audioCtx);
     }
     if (audioCtx.state === 'suspended') {
         audioCtx.resume().catch(e => console.error(e));
@@ -440,6 +1633,7 @@ function updateMidiDevices() {
     if (selectChannel) {
         selectChannel.value = selectedMidiChannel;
     }
+    document.getElementById('midi-clock').value = midiClockSync ? 'midi' : 'internal';
 }
 
 function selectMidiDevice(id, type) {
@@ -470,15 +1664,16 @@ function setupMidiRouting() {
         }
     }
 
-    // Router
+    // Router (every message passes the recorder's MIDI capture once, whichever handlers it feeds)
+    const route = (...handlers) => (e) => {
+        captureMidi(e);
+        handlers.forEach(handler => handler(e));
+    };
     if (midiInput && midiCCInput && midiInput.id === midiCCInput.id) {
-        midiInput.onmidimessage = (e) => {
-            handleNoteMsg(e);
-            handleCCMsg(e);
-        };
+        midiInput.onmidimessage = route(handleNoteMsg, handleCCMsg);
     } else {
-        if (midiInput) midiInput.onmidimessage = handleNoteMsg;
-        if (midiCCInput) midiCCInput.onmidimessage = handleCCMsg;
+        if (midiInput) midiInput.onmidimessage = route(handleNoteMsg);
+        if (midiCCInput) midiCCInput.onmidimessage = route(handleCCMsg);
     }
 }
 
@@ -487,53 +1682,136 @@ function handleNoteMsg(event) {
     
     // Realtime Clock
     if (status === 0xF8) {
-        handleMidiClock();
-        return;
-    }
-    if (status === 0xFA) { 
-        if (settings.arpEnabled && !isPlaying) startNoteSequence();
+        handleMidiClock(event.timeStamp);
         return;
     }
-    if (status === 0xFC) { 
-        if (settings.arpEnabled && isPlaying) stopNoteSequence();
+    if (status === 0xFA || status === 0xFB || status === 0xFC || status === 0xF2) {
+        handleMidiTransport(status, data1, data2);
         return;
     }
 
     const command = status & 0xf0;
     const channel = status & 0x0f;
     if (selectedMidiChannel !== -1 && channel !== selectedMidiChannel) return;
-    
+    handleChannelMessage(command, data1, data2);
+}
+
+// Notes, controllers and pressure shared by live MIDI input and the MIDI file player
+function handleChannelMessage(command, data1, data2, time) {
     if (command === 144) { // Note On
-        if (data2 > 0) noteOn(data1, data2);
-        else noteOff(data1);
+        if (data2 > 0) noteOn(data1, data2, time);
+        else noteOff(data1, time);
     } else if (command === 128) { // Note Off
-        noteOff(data1);
+        noteOff(data1, time);
+    } else if (command === 0xE0) { // Pitch Bend (14-bit, centre 8192)
+        pitchBend = Math.max(-1, (((data2 << 7) | data1) - 8192) / 8192);
+        updatePerformanceControls();
+    } else if (command === 0xB0 && data1 === 1) { // Mod Wheel
+        modWheel = data2 / 127;
+        updatePerformanceControls();
+    } else if (command === 0xB0 && data1 === 64) { // Sustain Pedal
+        setSustainPedal(data2 >= 64);
+    } else if (command === 0xB0 && data1 === 66) { // Sostenuto Pedal
+        setSostenutoPedal(data2 >= 64);
+    } else if (command === 0xD0) { // Channel Pressure
+        channelPressure = data1 / 127;
+        updatePerformanceControls();
+    } else if (command === 0xA0) { // Poly Pressure
+        polyPressure.set(data1, data2 / 127);
+        const voice = activeVoices.get(data1);
+        if (voice) voice.updatePerformance();
     }
 }
 
+function updatePerformanceControls() {
+    activeVoices.forEach(voice => voice.updatePerformance());
+}
+
 // MIDI Clock State
-let clockTickCount = 0;
-let lastClockTime = 0;
+let clockTickCount = 0; // Ticks since Start / Song Position
+let midiClockState = 'stopped'; // 'running' | 'stopped'
+let lastClockTime = 0; // ms (event.timeStamp) of the previous tick
+let clockTickInterval = 0; // Smoothed ms per tick
+const CLOCK_SMOOTHING = 0.1;
 
-function handleMidiClock() {
-    if (!settings.arpEnabled || !isPlaying) return;
-    
-    // 24 ticks per quarter note
+function getClockBpm() {
+    return clockTickInterval ? 60000 / (clockTickInterval * 24) : settings.arpRate;
+}
+
+// 24 ticks per quarter note: tempo is estimated from tick spacing, steps land on division boundaries
+function handleMidiClock(timeStamp) {
+    if (lastClockTime) {
+        const interval = timeStamp - lastClockTime;
+        // Ignore gaps (clock paused, device reconnected) so they don't drag the estimate
+        if (interval > 0 && interval < 250) {
+            clockTickInterval = clockTickInterval
+                ? clockTickInterval + (interval - clockTickInterval) * CLOCK_SMOOTHING
+                : interval;
+        }
+    }
+    lastClockTime = timeStamp;
+    if (clockTickCount % 24 === 0) {
+        updateClockDisplay();
+        if (midiClockSync) handleTempoChange();
+    }
+
+    if (!midiClockSync || midiClockState !== 'running' || !audioCtx) {
+        clockTickCount++;
+        return;
+    }
+
+    const tickMs = clockTickInterval || 60000 / (settings.arpRate * 24);
+    // Map the tick's arrival onto the audio clock plus a fixed latency, so jitter doesn't reach the notes
+    const tickTime = audioCtx.currentTime - (performance.now() - timeStamp) / 1000 + SCHEDULE_AHEAD;
+
+    const arpTicks = Math.max(1, Math.round(24 * arpDivisions[settings.arpDivision]));
+    if (arpNotes.length && clockTickCount % arpTicks === 0) {
+        const step = Math.floor(clockTickCount / arpTicks);
+        const stepDuration = arpTicks * tickMs / 1000;
+        const swing = step % 2 === 1 ? settings.arpSwing * stepDuration : 0;
+        const duration = stepDuration * (step % 2 === 0 ? 1 + settings.arpSwing : 1 - settings.arpSwing);
+        scheduleEvent(tickTime + swing, t => playArpStep(t, duration, step), 'arp');
+        startScheduler();
+    }
+
+    const seqTicks = Math.max(1, Math.round(24 * arpDivisions[settings.seqDivision]));
+    if (seqPlaying && clockTickCount % seqTicks === 0) {
+        queueSeqStep(tickTime, seqTicks * tickMs / 1000);
+        startScheduler();
+    }
     clockTickCount++;
-    
-    if (clockTickCount >= 12) { // 8th notes
+}
+
+function handleMidiTransport(status, lsb, msb) {
+    if (status === 0xFA) { // Start
         clockTickCount = 0;
-        
-        if (arpInterval) {
-            clearInterval(arpInterval);
-            arpInterval = null;
+        midiClockState = 'running';
+        if (midiClockSync) locateSequencer(0);
+    } else if (status === 0xFB) { // Continue
+        midiClockState = 'running';
+    } else if (status === 0xFC) { // Stop
+        midiClockState = 'stopped';
+        if (midiClockSync) {
+            clearEvents('arp');
+            releaseArpNotes();
+            clearEvents('seq');
+            releaseSeqNote();
+        }
+    } else if (status === 0xF2) { // Song Position Pointer, in 16th notes
+        clockTickCount = ((msb << 7) | lsb) * 6;
+        if (midiClockSync) {
+            const seqTicks = Math.max(1, Math.round(24 * arpDivisions[settings.seqDivision]));
+            locateSequencer(Math.floor(clockTickCount / seqTicks));
         }
-        
-        if (lastArpNote) noteOff(lastArpNote);
-        playArpStep();
     }
 }
 
+function updateClockDisplay() {
+    const el = document.getElementById('clock-bpm');
+    if (!el) return;
+    el.textContent = midiClockSync ? `${getClockBpm().toFixed(1)} BPM (MIDI)` : '';
+}
+
 function handleCCMsg(event) {
     const [status, ccNum, val] = event.data;
     const command = status & 0xf0;
@@ -541,59 +1819,81 @@ function handleCCMsg(event) {
     if (selectedMidiChannel !== -1 && channel !== selectedMidiChannel) return;
 
     if (command === 176) { // CC
-        mapCC(ccNum, val);
+        // The note handler already plays these when both inputs are the same device
+        if (PERFORMANCE_CCS.has(ccNum) && midiInput && midiCCInput && midiInput.id === midiCCInput.id) return;
+        if (midiLearnTarget) learnCC(ccNum);
+        else mapCC(ccNum, val);
     }
 }
 
+// Resolves a CC (including the LSB half of 14-bit pairs) against the mapping profile
 function mapCC(cc, val) {
-    const norm = val / 127;
-    let param = null;
-    let mappedVal = null;
-    
-    const targetCC = cc + 1;
+    if (lastLearned && cc === lastLearned.mapping.cc + 32 && performance.now() - lastLearned.time < 100) {
+        lastLearned.mapping.hiRes = true;
+        lastLearned = null;
+        saveSettings();
+        renderMidiMappings();
+    }
 
-    switch(targetCC) {
-        case 1: // Cutoff
-            param = 'filterFreq';
-            if (settings.filterType === 'lowpass') {
-                mappedVal = 20 * Math.pow(500, norm); // Max 10k
-            } else {
-                mappedVal = 20 * Math.pow(1000, norm); 
-            }
-            break;
-        case 2: param = 'filterQ'; mappedVal = norm * 20; break;
-        case 3: param = 'tremRate'; mappedVal = 0.1 + (norm * 19.9); break;
-        case 4: param = 'tremDepth'; mappedVal = norm; break;
-        case 5: param = 'attack'; mappedVal = norm * 2; break;
-        case 6: param = 'decay'; mappedVal = norm * 2; break;
-        case 7: param = 'sustain'; mappedVal = norm; break;
-        case 8: param = 'release'; mappedVal = norm * 3; break;
-        case 9: param = 'f_attack'; mappedVal = norm * 2; break;
-        case 10: param = 'f_decay'; mappedVal = norm * 2; break;
-        case 11: param = 'f_sustain'; mappedVal = norm; break;
-        case 12: param = 'f_release'; mappedVal = norm * 3; break;
-        case 13: param = 'osc1_semi'; mappedVal = Math.round((norm * 24) - 12); break;
-        case 14: param = 'osc2_semi'; mappedVal = Math.round((norm * 24) - 12); break;
-        case 15: param = 'osc3_semi'; mappedVal = Math.round((norm * 24) - 12); break;
-        case 16: param = 'pan'; mappedVal = (norm * 2) - 1; break;
-    }
-
-    if (param !== null) {
-        settings[param] = mappedVal;
-        const el = uiElements[param];
-        if (el) {
-            if (el.type === 'checkbox') el.checked = mappedVal;
-            else {
-                updateDialVisual(el, mappedVal);
-                el.value = mappedVal;
-            }
+    if (cc < 32) ccMsbValues[cc] = val;
+
+    settings.midiMappings.forEach(mapping => {
+        let norm;
+        if (mapping.cc === cc) {
+            norm = mapping.hiRes ? ((val << 7) / 16383) : val / 127;
+        } else if (mapping.hiRes && mapping.cc + 32 === cc) {
+            norm = (((ccMsbValues[mapping.cc] || 0) << 7) | val) / 16383;
+        } else {
+            return;
         }
-        updateValueDisplay(param, mappedVal);
-        updateAudioParams(param, mappedVal);
+        applyMidiMapping(mapping, norm);
+    });
+}
+
+function applyMidiMapping(mapping, norm) {
+    const conf = paramMap[mapping.param];
+    if (!conf) return;
+    if (mapping.invert) norm = 1 - norm;
+
+    let value;
+    if (conf.type === 'checkbox') {
+        value = norm >= 0.5;
+    } else if (conf.type === 'select') {
+        value = conf.options[Math.min(conf.options.length - 1, Math.floor(norm * conf.options.length))];
+    } else {
+        const { min, max } = mapping;
+        if (mapping.curve === 'exp') {
+            value = (min > 0 && max > 0) ? min * Math.pow(max / min, norm) : min + (max - min) * norm * norm;
+        } else {
+            value = min + (max - min) * norm;
+        }
+        if (conf.step) value = snapToStep(value, conf.step);
     }
+    setParam(mapping.param, value);
+    // A CC sweep is saved, and becomes one undo step, once the controller rests
+    clearTimeout(ccSaveTimer);
+    ccSaveTimer = setTimeout(saveSettings, CC_GESTURE_IDLE);
 }
 
-// --- Setup Listeners ---
+// Updates a parameter from outside its own control (MIDI, automation) and keeps the UI in sync
+function setParam(param, value) {
+    settings[param] = value;
+    const el = uiElements[param];
+    if (el) {
+        if (el.type === 'checkbox') el.checked = value;
+        else if (el.classList.contains('dial')) updateDialVisual(el, value);
+        else el.value = value;
+    }
+    updateValueDisplay(param, value);
+
+    if (param.startsWith('arp')) {
+        handleArpChange(param);
+    } else {
+        updateAudioParams(param, value);
+    }
+}
+
+// --- Setup Listeners ---
 function setupEventListeners() {
     document.getElementById('midi-device').addEventListener('change', (e) => {
         selectMidiDevice(e.target.value, 'note');
@@ -607,13 +1907,21 @@ function setupEventListeners() {
         selectedMidiChannel = parseInt(e.target.value);
         saveSettings();
     });
+    const clockSelect = document.getElementById('midi-clock');
+    clockSelect.value = midiClockSync ? 'midi' : 'internal';
+    clockSelect.addEventListener('change', (e) => {
+        midiClockSync = e.target.value === 'midi';
+        saveSettings();
+        updateClockDisplay();
+        if (arpNotes.length) startArp();
+    });
 
     document.querySelectorAll('.dial').forEach(dial => {
         dial.addEventListener('mousedown', handleDialStart);
     });
 
     document.querySelectorAll('input, select').forEach(el => {
-        if (el.id.startsWith('midi')) return; 
+        if (!el.dataset.param) return;
         
         el.addEventListener('input', (e) => {
             const param = e.target.dataset.param;
@@ -625,13 +1933,21 @@ function setupEventListeners() {
             settings[param] = val;
             updateValueDisplay(param, val);
             
-            if (param === 'arpEnabled' || param === 'arpRate') {
-                handleArpChange();
+            if (param.startsWith('arp')) {
+                handleArpChange(param);
             } else {
                 updateAudioParams(param, val);
             }
+            // A slider drag becomes one undo step when released (its change event)
+            if (e.target.type === 'range') historyHold = true;
             saveSettings();
         });
+        if (el.type === 'range') {
+            el.addEventListener('change', () => {
+                historyHold = false;
+                saveSettings();
+            });
+        }
     });
 
     const playBtn = document.getElementById('play-btn');
@@ -644,245 +1960,3895 @@ function setupEventListeners() {
 
     document.getElementById('randomize-btn').addEventListener('click', randomizeSettings);
     document.getElementById('reset-btn').addEventListener('click', resetSettings);
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryKey);
+    updateHistoryUI();
+    document.getElementById('ab-a-btn').addEventListener('click', () => selectABSlot('a'));
+    document.getElementById('ab-b-btn').addEventListener('click', () => selectABSlot('b'));
+    document.getElementById('ab-copy-btn').addEventListener('click', copyABSlot);
+    updateABUI();
+
+    document.getElementById('preset-select').addEventListener('change', (e) => loadPreset(e.target.value));
+    document.getElementById('preset-category').addEventListener('change', renderPresetList);
+    document.getElementById('preset-tag').addEventListener('change', renderPresetList);
+    document.getElementById('preset-search').addEventListener('input', renderPresetList);
+    document.getElementById('preset-save-btn').addEventListener('click', savePreset);
+    document.getElementById('preset-save-as-btn').addEventListener('click', savePresetAs);
+    document.getElementById('preset-rename-btn').addEventListener('click', renamePreset);
+    document.getElementById('preset-duplicate-btn').addEventListener('click', duplicatePreset);
+    document.getElementById('preset-delete-btn').addEventListener('click', deletePreset);
+
+    initSequencerUI();
+    initKeyboardInput();
+    initFxUI();
+    initRecorderUI();
+    initMidiFileUI();
+    initWavetableUI();
+    initVisualizerUI();
+    initRandomizerUI();
+
+    document.getElementById('preset-export-btn').addEventListener('click', exportPatch);
+    document.getElementById('preset-export-bank-btn').addEventListener('click', exportBank);
+    const importInput = document.getElementById('preset-import-file');
+    document.getElementById('preset-import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importPatchFile(file);
+        e.target.value = '';
+    });
 }
 
 // --- Polyphonic Note Logic ---
 
-function noteOn(noteNum, velocity = 127) {
+// Key-level note handling: tracks physical keys and pedal holds, then drives voices
+// `time` (audio clock) lets scheduled sources place notes ahead; omitted means now
+function noteOn(noteNum, velocity = 127, time) {
+    heldKeys.add(noteNum);
+    sustainedNotes.delete(noteNum);
+    if (arpActive) arpNoteOn(noteNum, velocity);
+    else startVoice(noteNum, velocity, time);
+}
+
+function noteOff(noteNum, time) {
+    heldKeys.delete(noteNum);
+    if (sustainPedal || sostenutoNotes.has(noteNum)) {
+        if (arpActive || activeVoices.has(noteNum) || monoStack.some(e => e.note === noteNum)) sustainedNotes.add(noteNum);
+        return;
+    }
+    releaseNote(noteNum, time);
+}
+
+// A key is finished (released and not held by a pedal)
+function releaseNote(noteNum, time) {
+    sustainedNotes.delete(noteNum);
+    if (arpActive) arpNoteOff(noteNum);
+    else stopVoice(noteNum, time);
+}
+
+function startVoice(noteNum, velocity = 127, time) {
     initAudio();
-    if (activeVoices.size >= MAX_VOICES) {
-        const firstNote = activeVoices.keys().next().value;
-        const oldVoice = activeVoices.get(firstNote);
-        oldVoice.release();
-        activeVoices.delete(firstNote);
+    polyPressure.delete(noteNum);
+    if (settings.voiceMode !== 'poly') {
+        startMonoNote(noteNum, velocity, time);
+        return;
+    }
+
+    // Re-striking a sounding (e.g. sustained) note replaces its voice, or retriggers it in 'same' mode
+    if (activeVoices.has(noteNum)) {
+        if (settings.stealMode === 'same') {
+            activeVoices.get(noteNum).retrigger(velocity, time);
+            sustainedNotes.delete(noteNum);
+            return;
+        }
+        stopVoice(noteNum, time);
     }
+    if (activeVoices.size >= settings.polyphony) stealVoice(time);
 
-    const freq = 440 * Math.pow(2, (noteNum - 69) / 12);
-    const voice = new SynthVoice(audioCtx, masterGainNode);
-    voice.trigger(freq, noteNum);
+    const voice = new SynthVoice(audioCtx, fxInput);
+    voice.trigger(noteFreq(noteNum), noteNum, velocity, time);
     activeVoices.set(noteNum, voice);
+    updatePianoDisplay();
 }
 
-function noteOff(noteNum) {
+function stopVoice(noteNum, time, fade) {
+    if (settings.voiceMode !== 'poly') {
+        stopMonoNote(noteNum, time);
+        return;
+    }
     const voice = activeVoices.get(noteNum);
     if (voice) {
-        voice.release();
+        voice.release(time, fade);
         activeVoices.delete(noteNum);
+        updatePianoDisplay();
+    }
+    sustainedNotes.delete(noteNum);
+}
+
+// Frees voices down to the polyphony limit with a short fade. Pedal-held voices whose key is
+// already up go first; among the rest the steal mode picks ('same' falls back to oldest)
+function stealVoice(time) {
+    while (activeVoices.size >= settings.polyphony) {
+        const notes = [...activeVoices.keys()]; // Insertion order = oldest first
+        const released = notes.filter(n => sustainedNotes.has(n) && !heldKeys.has(n));
+        const candidates = released.length ? released : notes;
+        let victim = candidates[0];
+        if (settings.stealMode === 'quietest') {
+            victim = candidates.reduce((a, b) => (activeVoices.get(b).level() < activeVoices.get(a).level() ? b : a));
+        } else if (settings.stealMode === 'lowest') {
+            victim = Math.min(...candidates);
+        } else if (settings.stealMode === 'highest') {
+            victim = Math.max(...candidates);
+        }
+        sostenutoNotes.delete(victim);
+        stopVoice(victim, time, STEAL_FADE);
     }
 }
 
-// --- Arp / Mouse Interaction Shim ---
+function noteFreq(noteNum) {
+    return 440 * Math.pow(2, (noteNum - 69) / 12);
+}
 
-function startNoteSequence() {
-    initAudio();
-    if (isPlaying) return;
-    isPlaying = true;
-    document.getElementById('play-btn').classList.add('active');
+// --- LFOs ---
+// Free-running LFOs are one shared source per LFO feeding a bus every voice taps;
+// retriggered LFOs are created per voice by SynthVoice.buildModulation
 
-    if (settings.arpEnabled) {
-        startArp();
-    } else {
-        noteOn(60, 127); // C4
+let globalLfos = []; // { source, bus } per LFO
+const shBuffers = new WeakMap(); // AudioContext -> sample & hold buffer
+
+function initLfos() {
+    globalLfos = [];
+    for (let i = 1; i <= LFO_COUNT; i++) {
+        globalLfos.push({ source: null, bus: audioCtx.createGain() });
+        buildGlobalLfo(i);
     }
 }
 
-function stopNoteSequence() {
-    if (!isPlaying) return;
-    isPlaying = false;
-    document.getElementById('play-btn').classList.remove('active');
-    
-    if (arpInterval) {
-        clearInterval(arpInterval);
-        arpInterval = null;
+function buildGlobalLfo(i) {
+    const lfo = globalLfos[i - 1];
+    if (lfo.source) {
+        lfo.source.stop();
+        lfo.source.disconnect();
     }
-    
-    if (activeVoices.has(60) && !settings.arpEnabled) {
-        noteOff(60);
-    } else {
-        if (lastArpNote) noteOff(lastArpNote);
+    lfo.source = createLfoSource(audioCtx, i, liveEngine);
+    lfo.source.connect(lfo.bus);
+    lfo.source.start();
+}
+
+function createLfoSource(ctx, i, engine) {
+    const rate = getLfoRate(i, engine);
+    const wave = engine.patch[`lfo${i}_wave`];
+    if (wave === 'sh') {
+        const src = ctx.createBufferSource();
+        src.buffer = getShBuffer(ctx, engine.random);
+        src.loop = true;
+        src.playbackRate.value = rate / SH_STEP_RATE;
+        return src;
     }
+    const osc = ctx.createOscillator();
+    osc.type = wave;
+    osc.frequency.value = rate;
+    return osc;
 }
 
-let lastArpNote = null;
+function setLfoSourceRate(src, rate, time) {
+    if (src.playbackRate) src.playbackRate.setTargetAtTime(rate / SH_STEP_RATE, time, SMOOTHING_TIME);
+    else src.frequency.setTargetAtTime(rate, time, SMOOTHING_TIME);
+}
 
-function startArp() {
-    arpIndex = 0;
-    const ms = 60000 / settings.arpRate / 2;
-    playArpStep();
-    arpInterval = setInterval(() => {
-        if (!isPlaying) {
-            clearInterval(arpInterval);
-            return;
+// Sample & hold: a looped buffer of random steps, stepped faster or slower via playbackRate
+function getShBuffer(ctx, random) {
+    if (!shBuffers.has(ctx)) {
+        const stepLength = Math.round(ctx.sampleRate / SH_STEP_RATE);
+        const buffer = ctx.createBuffer(1, SH_STEPS * stepLength, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let step = 0; step < SH_STEPS; step++) {
+            data.fill(random() * 2 - 1, step * stepLength, (step + 1) * stepLength);
         }
-        if (lastArpNote) noteOff(lastArpNote);
-        playArpStep();
-    }, ms);
+        shBuffers.set(ctx, buffer);
+    }
+    return shBuffers.get(ctx);
+}
+
+// Offline renders have no MIDI clock and run at the patch's own tempo
+function getTempo(engine = liveEngine) {
+    return engine.live && midiClockSync ? getClockBpm() : engine.patch.arpRate;
 }
 
-function playArpStep() {
-    const baseNote = 60; 
-    const offset = arpPattern[arpIndex % arpPattern.length];
-    arpIndex++;
-    lastArpNote = baseNote + offset;
-    noteOn(lastArpNote, 100);
+// Hz, or one cycle per division of the current tempo when synced
+function getLfoRate(i, engine = liveEngine) {
+    const patch = engine.patch;
+    if (!patch[`lfo${i}_sync`]) return patch[`lfo${i}_rate`];
+    return getTempo(engine) / 60 / lfoDivisions[patch[`lfo${i}_division`]];
 }
 
-function handleArpChange() {
-    if (isPlaying && settings.arpEnabled && !arpInterval) {
-        stopNoteSequence(); 
-        startNoteSequence();
-    } else if (isPlaying && !settings.arpEnabled && arpInterval) {
-        clearInterval(arpInterval);
-        arpInterval = null;
-        if (lastArpNote) noteOff(lastArpNote);
-        noteOn(60, 127);
-    } else if (isPlaying && settings.arpEnabled && arpInterval) {
-        clearInterval(arpInterval);
-        startArp();
+function updateLfoRates() {
+    if (!audioCtx) return;
+    for (let i = 1; i <= LFO_COUNT; i++) {
+        const rate = getLfoRate(i);
+        setLfoSourceRate(globalLfos[i - 1].source, rate, audioCtx.currentTime);
+        activeVoices.forEach(voice => voice.updateLfoRate(i, rate));
     }
 }
 
-function updateAudioParams(param, value) {
-    if (param === 'volume' && masterGainNode) {
-        masterGainNode.gain.setTargetAtTime(value, audioCtx.currentTime, 0.01);
+function handleLfoChange(param) {
+    if (!audioCtx) return;
+    if (param.endsWith('_wave')) buildGlobalLfo(parseInt(param[3]));
+    else if (!param.endsWith('_retrig')) updateLfoRates();
+}
+
+// Matrix rows are generated so the slot count lives in one place (MOD_SLOTS)
+function buildModMatrixUI() {
+    const container = document.getElementById('mod-matrix');
+    const sourceLabels = { none: '-', lfo1: 'LFO 1', lfo2: 'LFO 2', ampEnv: 'Amp Env', filterEnv: 'Filter Env', velocity: 'Velocity', key: 'Key' };
+    const destLabels = {
+        none: '-', pitch: 'Pitch', cutoff: 'Cutoff', cutoff2: 'Cutoff 2', resonance: 'Resonance', pan: 'Master Pan',
+        osc1_pitch: 'Osc 1 Pitch', osc2_pitch: 'Osc 2 Pitch', osc3_pitch: 'Osc 3 Pitch',
+        osc1_gain: 'Osc 1 Level', osc2_gain: 'Osc 2 Level', osc3_gain: 'Osc 3 Level',
+        osc1_pan: 'Osc 1 Pan', osc2_pan: 'Osc 2 Pan', osc3_pan: 'Osc 3 Pan',
+        osc1_pw: 'Osc 1 PW', osc2_pw: 'Osc 2 PW', osc3_pw: 'Osc 3 PW',
+        osc1_fm: 'Osc 1 FM', osc2_fm: 'Osc 2 FM', osc3_fm: 'Osc 3 FM'
+    };
+    const options = (keys, labels) => keys.map(key => `<option value="${key}">${labels[key]}</option>`).join('');
+
+    container.innerHTML = '';
+    for (let k = 1; k <= MOD_SLOTS; k++) {
+        const row = document.createElement('div');
+        row.className = 'mod-slot';
+        row.innerHTML = `
+            <span class="mod-slot-num">${k}</span>
+            <select data-param="mod${k}_src">${options(modSources, sourceLabels)}</select>
+            <select data-param="mod${k}_dst">${options(Object.keys(modDestinations), destLabels)}</select>
+            <div class="dial" data-param="mod${k}_amt" data-min="-1" data-max="1" data-step="0.01">
+                <div class="dial-knob"></div>
+                <div class="dial-value">0</div>
+            </div>`;
+        container.appendChild(row);
     }
-    activeVoices.forEach(voice => {
-        voice.updateParams(param, value);
-    });
 }
 
-// --- Helpers ---
+// --- Voice Filter ---
+// One filter of a voice. A 24 dB slope cascades two biquads; band-reject is a lowpass and a highpass
+// in parallel, spread either side of the cutoff by Q. Cutoff modulation arrives on buses (Hz and cents)
+// that attach() connects to every stage
 
-function loadSettings() {
-    const saved = localStorage.getItem('synthSettings');
-    if (saved) {
-        try {
-            const parsed = JSON.parse(saved);
-            settings = { ...defaultSettings, ...parsed };
-            
-            // Restore Globals
-            if (settings.midiDevice) selectedMidiDevice = settings.midiDevice;
-            if (settings.midiCCDevice) selectedMidiCCDevice = settings.midiCCDevice;
-            if (settings.midiChannel !== undefined) selectedMidiChannel = parseInt(settings.midiChannel);
-            
-        } catch (e) { settings = { ...defaultSettings }; }
+const gainFilterTypes = ['peaking', 'lowshelf', 'highshelf']; // Shaped by gain, so no steeper slope
+const driveCurves = new Map(); // tanh steepness -> curve
+
+function getDriveCurve(k) {
+    if (!driveCurves.has(k)) {
+        const curve = new Float32Array(2048);
+        for (let i = 0; i < curve.length; i++) {
+            const x = (i / (curve.length - 1)) * 2 - 1;
+            curve[i] = Math.tanh(k * x) / Math.tanh(k);
+        }
+        driveCurves.set(k, curve);
     }
+    return driveCurves.get(k);
 }
 
-function saveSettings() {
-    // Sync globals to settings before save
-    settings.midiDevice = selectedMidiDevice;
-    settings.midiCCDevice = selectedMidiCCDevice;
-    settings.midiChannel = selectedMidiChannel;
-    
-    localStorage.setItem('synthSettings', JSON.stringify(settings));
+class FilterSection {
+    constructor(ctx, type, slope) {
+        this.ctx = ctx;
+        this.type = type;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.chains = []; // Biquads in series; band-reject has two chains side by side
+        this.links = []; // [bus, param] connections made by attach()
+
+        const stages = slope === '24' && !gainFilterTypes.includes(type) ? 2 : 1;
+        (type === 'bandreject' ? ['lowpass', 'highpass'] : [type]).forEach(stageType => {
+            const chain = [];
+            let prev = this.input;
+            for (let n = 0; n < stages; n++) {
+                const biquad = ctx.createBiquadFilter();
+                biquad.type = stageType;
+                prev.connect(biquad);
+                prev = biquad;
+                chain.push(biquad);
+            }
+            prev.connect(this.output);
+            this.chains.push(chain);
+        });
+    }
+
+    // Lowpass/highpass resonance sits on the last stage so a 24 dB cascade doesn't double the peak;
+    // band-reject spends Q on its width instead
+    get resonanceParams() {
+        if (this.type === 'bandreject') return [];
+        if (this.type === 'lowpass' || this.type === 'highpass') return this.chains.map(chain => chain[chain.length - 1].Q);
+        return this.chains.flat().map(biquad => biquad.Q);
+    }
+
+    attach(bus, paramName) {
+        this.chains.flat().forEach(biquad => {
+            bus.connect(biquad[paramName]);
+            this.links.push([bus, biquad[paramName]]);
+        });
+    }
+
+    // Immediate when `time` is undefined, smoothed otherwise
+    update(freq, q, gain, time) {
+        const cutoff = Math.max(20, Math.min(FILTER_MAX_FREQ, this.ctx.sampleRate * 0.45, freq));
+        const spread = this.type === 'bandreject' ? 2400 / (1 + q) : 0; // Cents either side of the cutoff
+        const resonant = this.resonanceParams;
+        this.chains.forEach((chain, c) => chain.forEach(biquad => {
+            [
+                [biquad.frequency, cutoff],
+                [biquad.detune, c === 0 ? -spread : spread],
+                [biquad.Q, resonant.includes(biquad.Q) ? q : 0],
+                [biquad.gain, gain]
+            ].forEach(([param, value]) => {
+                if (time === undefined) param.value = value;
+                else param.setTargetAtTime(value, time, SMOOTHING_TIME);
+            });
+        }));
+    }
+
+    dispose() {
+        this.links.forEach(([bus, param]) => { try { bus.disconnect(param); } catch(e){} });
+        [this.input, this.output, ...this.chains.flat()].forEach(n => { try { n.disconnect(); } catch(e){} });
+    }
 }
 
-function initUI() {
-    document.querySelectorAll('.dial').forEach(dial => {
-        const param = dial.dataset.param;
-        if (param) {
-            uiElements[param] = dial;
-            updateDialVisual(dial, settings[param]);
+// --- Cross Modulation ---
+
+// Carrier -> modulator osc number for each FM route that can be built without a feedback loop
+function getFmRoutes(patch) {
+    const routes = {};
+    for (let i = 1; i <= 3; i++) {
+        const src = patch[`osc${i}_fmSrc`];
+        if (src === 'off') continue;
+        let j = parseInt(src[3]);
+        const modulator = j;
+        // Follow the modulator's own chain of accepted routes; reaching the carrier would close a loop
+        while (j && j !== i) j = routes[j];
+        if (j !== i) routes[i] = modulator;
+    }
+    return routes;
+}
+
+// Hard sync oscillator: resets its phase whenever the master (osc1) phase wraps. Both phases run
+// here since Web Audio oscillators expose no phase; jumps get a PolyBLEP correction via a one-sample delay
+const syncWorkletSource = `
+class SyncOscillatorProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'frequency', defaultValue: 440 },
+            { name: 'detune', defaultValue: 0 },
+            { name: 'masterFrequency', defaultValue: 440 },
+            { name: 'masterDetune', defaultValue: 0 }
+        ];
+    }
+    constructor() {
+        super();
+        this.type = 'sawtooth';
+        this.phase = 0;
+        this.masterPhase = 0;
+        this.held = 0;
+        this.startTime = Infinity;
+        this.stopTime = Infinity;
+        this.port.onmessage = (e) => Object.assign(this, e.data);
+    }
+    wave(p) {
+        if (this.type === 'sine') return Math.sin(2 * Math.PI * p);
+        if (this.type === 'square') return p < 0.5 ? 1 : -1;
+        if (this.type === 'triangle') return 1 - 4 * Math.abs(p - 0.5);
+        return 2 * p - 1;
+    }
+    process(inputs, outputs, parameters) {
+        if (currentTime >= this.stopTime) return false;
+        const out = outputs[0][0];
+        const at = (name, n) => parameters[name].length > 1 ? parameters[name][n] : parameters[name][0];
+        for (let n = 0; n < out.length; n++) {
+            if (currentTime + n / sampleRate < this.startTime) {
+                out[n] = 0;
+                continue;
+            }
+            const inc = at('frequency', n) * Math.pow(2, at('detune', n) / 1200) / sampleRate;
+            const masterInc = at('masterFrequency', n) * Math.pow(2, at('masterDetune', n) / 1200) / sampleRate;
+            let p = this.phase + inc;
+            let masterP = this.masterPhase + masterInc;
+            let jump = 0;
+            let d = 0; // How far past the jump this sample lies, in samples
+            if (masterP >= 1) {
+                masterP -= Math.floor(masterP);
+                d = Math.min(1, masterP / masterInc);
+                const before = this.phase + inc * (1 - d);
+                jump = this.wave(0) - this.wave(before - Math.floor(before));
+                p = inc * d;
+            } else if (p >= 1) {
+                p -= Math.floor(p);
+                d = p / inc;
+                jump = this.wave(0) - this.wave(0.999999);
+            } else if (this.type === 'square' && this.phase < 0.5 && p >= 0.5) {
+                d = (p - 0.5) / inc;
+                jump = -2;
+            }
+            let value = this.wave(p);
+            if (jump) {
+                this.held += jump * d * d / 2;
+                value -= jump * (1 - d) * (1 - d) / 2;
+            }
+            out[n] = this.held;
+            this.held = value;
+            this.phase = p;
+            this.masterPhase = masterP;
         }
-    });
-    document.querySelectorAll('input, select').forEach(el => {
-        if (el.id.startsWith('midi')) return;
-        const param = el.dataset.param;
-        if (param) {
-            uiElements[param] = el;
-            if (el.type === 'checkbox') el.checked = settings[param];
-            else el.value = settings[param];
-            updateValueDisplay(param, settings[param]);
+        return true;
+    }
+}
+registerProcessor('sync-oscillator', SyncOscillatorProcessor);
+`;
+
+const syncWorkletReady = new WeakSet(); // Contexts with the sync processor registered
+
+function loadSyncWorklet(ctx) {
+    if (!ctx.audioWorklet || !window.AudioWorkletNode) return Promise.resolve();
+    const url = URL.createObjectURL(new Blob([syncWorkletSource], { type: 'application/javascript' }));
+    return ctx.audioWorklet.addModule(url)
+        .then(() => syncWorkletReady.add(ctx))
+        .catch(e => console.warn('Sync worklet unavailable, hard sync disabled', e))
+        .finally(() => URL.revokeObjectURL(url));
+}
+
+// Worklet node dressed up as an OscillatorNode (frequency/detune/type/start/stop) so voices can treat it as one
+function createSyncOscillator(ctx) {
+    const node = new AudioWorkletNode(ctx, 'sync-oscillator', { numberOfInputs: 0, outputChannelCount: [1] });
+    ['frequency', 'detune', 'masterFrequency', 'masterDetune'].forEach(name => { node[name] = node.parameters.get(name); });
+    let type = 'sawtooth';
+    Object.defineProperty(node, 'type', {
+        get: () => type,
+        set: (value) => {
+            type = value;
+            node.port.postMessage({ type: value });
         }
     });
+    node.start = (time = 0) => node.port.postMessage({ startTime: time });
+    node.stop = (time = 0) => node.port.postMessage({ stopTime: time });
+    return node;
 }
 
-function updateValueDisplay(param, value) {
-    let displayValue = value;
-    let elId = `disp-${param}`;
-    
-    if (param.includes('waveform')) displayValue = waveforms[value] ? waveforms[value].charAt(0).toUpperCase() + waveforms[value].slice(1) : 'Sine';
-    else if (param.includes('Freq')) displayValue = `${Math.round(value)} Hz`;
-    else if (param === 'arpRate') displayValue = `${value} BPM`;
-    
-    if (paramMap[param] && paramMap[param].type === 'dial') {
-        const dial = uiElements[param];
-        if (dial) {
-            const valEl = dial.querySelector('.dial-value');
-            if (valEl) valEl.textContent = displayValue;
+// --- Oscillator Sources ---
+// Noise buffers, the pulse comparator curve and wavetable frames. A wavetable is a list of frames of
+// harmonic coefficients (PeriodicWave real/imag); position crossfades the coefficients of adjacent frames
+
+const noiseBuffers = new WeakMap(); // ctx -> { noise, pink }
+let pulseCurve = null;
+
+// Comparator threshold for a pulse width: the saw (-1..1) is above -offset for `pw` of each cycle
+function pulseOffset(pw) {
+    return 2 * pw - 1;
+}
+
+// Steep tanh rather than a hard step keeps the comparator edges from aliasing as badly
+function getPulseCurve() {
+    if (!pulseCurve) {
+        pulseCurve = new Float32Array(2048);
+        for (let n = 0; n < pulseCurve.length; n++) {
+            pulseCurve[n] = Math.tanh(((n / (pulseCurve.length - 1)) * 2 - 1) * 40);
         }
-    } else {
-        const dispEl = document.getElementById(elId);
-        if (dispEl) dispEl.textContent = displayValue;
     }
+    return pulseCurve;
 }
 
-let activeDial = null;
-let startY = 0;
-let startVal = 0;
+function getNoiseBuffer(ctx, type, random) {
+    if (!noiseBuffers.has(ctx)) noiseBuffers.set(ctx, {});
+    const buffers = noiseBuffers.get(ctx);
+    if (!buffers[type]) {
+        const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        let b0 = 0, b1 = 0, b2 = 0;
+        let peak = 0;
+        for (let n = 0; n < data.length; n++) {
+            const white = random() * 2 - 1;
+            if (type === 'pink') {
+                // Paul Kellett's economy pink filter (-3 dB/octave)
+                b0 = 0.99765 * b0 + white * 0.0990460;
+                b1 = 0.96300 * b1 + white * 0.2965164;
+                b2 = 0.57000 * b2 + white * 1.0526913;
+                data[n] = b0 + b1 + b2 + white * 0.1848;
+            } else {
+                data[n] = white;
+            }
+            peak = Math.max(peak, Math.abs(data[n]));
+        }
+        if (peak > 0) for (let n = 0; n < data.length; n++) data[n] /= peak;
+        buffers[type] = buffer;
+    }
+    return buffers[type];
+}
 
-function handleDialStart(e) {
-    activeDial = e.currentTarget;
-    startY = e.clientY;
-    startVal = parseFloat(settings[activeDial.dataset.param]);
-    document.addEventListener('mousemove', handleDialMove);
-    document.addEventListener('mouseup', handleDialEnd);
-    e.preventDefault();
+// Sine amplitudes for harmonics 1..n; index 0 (DC) stays empty
+function createHarmonicFrame(amps) {
+    const frame = { real: new Array(WT_HARMONICS + 1).fill(0), imag: new Array(WT_HARMONICS + 1).fill(0) };
+    amps.slice(0, WT_HARMONICS).forEach((amp, n) => { frame.imag[n + 1] = amp; });
+    return frame;
 }
 
-function handleDialMove(e) {
-    if (!activeDial) return;
-    const param = activeDial.dataset.param;
-    const conf = paramMap[param];
-    const deltaY = startY - e.clientY;
-    const range = conf.max - conf.min;
-    let newVal = startVal + (deltaY / 200) * range;
-    newVal = Math.max(conf.min, Math.min(conf.max, newVal));
-    if (conf.step) newVal = Math.round(newVal / conf.step) * conf.step;
-    
-    settings[param] = newVal;
-    updateDialVisual(activeDial, newVal);
-    updateValueDisplay(param, newVal);
-    updateAudioParams(param, newVal);
+// Sine morphing into saw
+function createDefaultWavetable() {
+    const saw = Array.from({ length: WT_HARMONICS }, (_, n) => Math.round(10000 / (n + 1)) / 10000);
+    return { frames: [createHarmonicFrame([1]), createHarmonicFrame(saw)] };
 }
 
-function handleDialEnd() {
-    if (activeDial) saveSettings();
-    activeDial = null;
-    document.removeEventListener('mousemove', handleDialMove);
-    document.removeEventListener('mouseup', handleDialEnd);
+function createWavetableWave(ctx, table, pos) {
+    const frames = table.frames;
+    const x = Math.max(0, Math.min(1, pos)) * (frames.length - 1);
+    const a = frames[Math.floor(x)];
+    const b = frames[Math.min(frames.length - 1, Math.floor(x) + 1)];
+    const t = x - Math.floor(x);
+    const real = new Float32Array(WT_HARMONICS + 1);
+    const imag = new Float32Array(WT_HARMONICS + 1);
+    for (let n = 1; n <= WT_HARMONICS; n++) {
+        real[n] = a.real[n] + (b.real[n] - a.real[n]) * t;
+        imag[n] = a.imag[n] + (b.imag[n] - a.imag[n]) * t;
+    }
+    return ctx.createPeriodicWave(real, imag);
 }
 
-function updateDialVisual(dial, value) {
-    const min = parseFloat(dial.dataset.min);
-    const max = parseFloat(dial.dataset.max);
-    const pct = (value - min) / (max - min);
-    const angle = -135 + (pct * 270);
-    const knob = dial.querySelector('.dial-knob');
-    if (knob) knob.style.transform = `rotate(${angle}deg)`;
+// Fourier coefficients of one cycle, scaled so the strongest harmonic is 1
+function analyseCycle(cycle) {
+    const frame = createHarmonicFrame([]);
+    const size = cycle.length;
+    let peak = 0;
+    for (let n = 1; n <= WT_HARMONICS && n < size / 2; n++) {
+        let re = 0;
+        let im = 0;
+        for (let k = 0; k < size; k++) {
+            const phase = 2 * Math.PI * n * k / size;
+            re += cycle[k] * Math.cos(phase);
+            im += cycle[k] * Math.sin(phase);
+        }
+        frame.real[n] = re;
+        frame.imag[n] = im;
+        peak = Math.max(peak, Math.hypot(re, im));
+    }
+    if (peak > 0) {
+        ['real', 'imag'].forEach(part => {
+            frame[part] = frame[part].map(v => Math.round(v / peak * 10000) / 10000);
+        });
+    }
+    return frame;
 }
 
-function randomizeSettings() {
-    Object.keys(paramMap).forEach(key => {
-        if (key === 'volume' || key === 'arpEnabled') return;
-        const conf = paramMap[key];
-        let rnd;
-        if (conf.type === 'select') {
-             const opts = ['lowpass', 'highpass', 'bandpass', 'notch'];
-             rnd = opts[Math.floor(Math.random() * opts.length)];
-        } else {
-             rnd = Math.random() * (conf.max - conf.min) + conf.min;
-             if (conf.step) rnd = Math.round(rnd / conf.step) * conf.step;
+// A file holding a whole number of 2048-sample cycles is split into frames, anything else is one cycle
+function wavetableFromSamples(samples) {
+    const multi = samples.length > WT_FRAME_SIZE && samples.length % WT_FRAME_SIZE === 0;
+    const size = multi ? WT_FRAME_SIZE : samples.length;
+    const count = multi ? Math.min(WT_MAX_FRAMES, samples.length / WT_FRAME_SIZE) : 1;
+    const frames = [];
+    for (let f = 0; f < count; f++) frames.push(analyseCycle(samples.subarray(f * size, (f + 1) * size)));
+    return { frames };
+}
+
+// First channel of a PCM (8/16/24/32-bit) or float WAV. Parsed by hand because decodeAudioData
+// resamples, which would break the frame size of single-cycle files
+function decodeWAV(buffer) {
+    const view = new DataView(buffer);
+    const tag = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+    if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a WAV file');
+
+    let format = null;
+    let pos = 12;
+    while (pos + 8 <= buffer.byteLength) {
+        const id = tag(pos);
+        const size = view.getUint32(pos + 4, true);
+        const body = pos + 8;
+        if (id === 'fmt ') {
+            format = {
+                float: view.getUint16(body, true) === 3,
+                channels: view.getUint16(body + 2, true),
+                bits: view.getUint16(body + 14, true)
+            };
+        } else if (id === 'data' && format) {
+            const bytes = format.bits / 8;
+            const frameBytes = bytes * format.channels;
+            const length = Math.floor(Math.min(size, buffer.byteLength - body) / frameBytes);
+            const samples = new Float32Array(length);
+            for (let n = 0; n < length; n++) {
+                const at = body + n * frameBytes;
+                if (format.float) samples[n] = view.getFloat32(at, true);
+                else if (format.bits === 8) samples[n] = (view.getUint8(at) - 128) / 128;
+                else if (format.bits === 16) samples[n] = view.getInt16(at, true) / 32768;
+                else if (format.bits === 24) samples[n] = ((view.getInt8(at + 2) << 16) | view.getUint16(at, true)) / 8388608;
+                else samples[n] = view.getInt32(at, true) / 2147483648;
+            }
+            return samples;
         }
-        settings[key] = rnd;
-    });
-    initUI();
-    saveSettings();
+        pos = body + size + (size % 2);
+    }
+    throw new Error('No audio data found');
 }
 
-function resetSettings() {
-    settings = { ...defaultSettings };
-    initUI();
+// --- Wavetable Editor ---
+// Draws the harmonic amplitudes of one frame of the selected oscillator's table; dragging sets them
+
+let wtEditOsc = 1;
+let wtEditFrame = 0;
+let wtDrawing = false;
+
+function getEditTable() {
+    return settings[`osc${wtEditOsc}_wavetable`];
+}
+
+function renderWavetableEditor() {
+    const table = getEditTable();
+    wtEditFrame = Math.min(wtEditFrame, table.frames.length - 1);
+    document.getElementById('wt-frame-label').textContent = `Frame ${wtEditFrame + 1} / ${table.frames.length}`;
+
+    const canvas = document.getElementById('wt-canvas');
+    const ctx = canvas.getContext('2d');
+    const frame = table.frames[wtEditFrame];
+    const barWidth = canvas.width / WT_HARMONICS;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#4CAF50';
+    for (let n = 1; n <= WT_HARMONICS; n++) {
+        const amp = Math.min(1, Math.hypot(frame.real[n], frame.imag[n]));
+        ctx.fillRect((n - 1) * barWidth, canvas.height * (1 - amp), barWidth - 1, canvas.height * amp);
+    }
+}
+
+// Sets the amplitude of the harmonic under the pointer, keeping its phase
+function drawHarmonic(e) {
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const n = Math.floor((e.clientX - rect.left) / rect.width * WT_HARMONICS) + 1;
+    if (n < 1 || n > WT_HARMONICS) return;
+    const amp = Math.round(Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height)) * 100) / 100;
+
+    const frame = getEditTable().frames[wtEditFrame];
+    const current = Math.hypot(frame.real[n], frame.imag[n]);
+    if (current > 0) {
+        frame.real[n] = Math.round(frame.real[n] / current * amp * 10000) / 10000;
+        frame.imag[n] = Math.round(frame.imag[n] / current * amp * 10000) / 10000;
+    } else {
+        frame.imag[n] = amp;
+    }
+    renderWavetableEditor();
+    updateAudioParams(`osc${wtEditOsc}_wavetable`, getEditTable());
+}
+
+function setEditTable(table) {
+    settings[`osc${wtEditOsc}_wavetable`] = table;
+    renderWavetableEditor();
+    updateAudioParams(`osc${wtEditOsc}_wavetable`, table);
     saveSettings();
 }
+
+function importWavetable(file) {
+    file.arrayBuffer().then(buffer => {
+        const samples = decodeWAV(buffer);
+        if (samples.length < 2) throw new Error('File is too short');
+        wtEditFrame = 0;
+        setEditTable(wavetableFromSamples(samples));
+    }).catch(e => {
+        alert(`Could not import wavetable: ${e.message}`);
+    });
+}
+
+function initWavetableUI() {
+    const canvas = document.getElementById('wt-canvas');
+    canvas.addEventListener('pointerdown', (e) => {
+        wtDrawing = true;
+        canvas.setPointerCapture(e.pointerId);
+        drawHarmonic(e);
+    });
+    canvas.addEventListener('pointermove', (e) => { if (wtDrawing) drawHarmonic(e); });
+    canvas.addEventListener('pointerup', () => {
+        wtDrawing = false;
+        saveSettings();
+    });
+
+    document.getElementById('wt-osc').addEventListener('change', (e) => {
+        wtEditOsc = parseInt(e.target.value);
+        wtEditFrame = 0;
+        renderWavetableEditor();
+    });
+    document.getElementById('wt-prev-btn').addEventListener('click', () => {
+        wtEditFrame = Math.max(0, wtEditFrame - 1);
+        renderWavetableEditor();
+    });
+    document.getElementById('wt-next-btn').addEventListener('click', () => {
+        wtEditFrame = Math.min(getEditTable().frames.length - 1, wtEditFrame + 1);
+        renderWavetableEditor();
+    });
+    // New frames start as a copy of the current one so morphs can be built up step by step
+    document.getElementById('wt-add-btn').addEventListener('click', () => {
+        const table = getEditTable();
+        if (table.frames.length >= WT_MAX_FRAMES) return;
+        table.frames.splice(wtEditFrame + 1, 0, clonePatch(table.frames[wtEditFrame]));
+        wtEditFrame++;
+        setEditTable(table);
+    });
+    document.getElementById('wt-delete-btn').addEventListener('click', () => {
+        const table = getEditTable();
+        if (table.frames.length <= 1) return;
+        table.frames.splice(wtEditFrame, 1);
+        setEditTable(table);
+    });
+    document.getElementById('wt-reset-btn').addEventListener('click', () => {
+        wtEditFrame = 0;
+        setEditTable(createDefaultWavetable());
+    });
+
+    const input = document.getElementById('wt-import-file');
+    document.getElementById('wt-import-btn').addEventListener('click', () => input.click());
+    input.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importWavetable(file);
+        e.target.value = '';
+    });
+    renderWavetableEditor();
+}
+
+// --- FX Chain ---
+// Voices -> fxInput -> effects in settings.fxOrder -> masterGainNode. Every unit keeps a dry path
+// so bypass and wet/dry are just gain moves and the chain never has to be torn down to switch
+
+let fxInput = null;
+let fxUnits = null; // name -> FxUnit
+
+class FxUnit {
+    constructor(ctx, name, engine) {
+        this.ctx = ctx;
+        this.name = name;
+        this.engine = engine;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.dry = ctx.createGain();
+        this.wet = ctx.createGain();
+        this.input.connect(this.dry);
+        this.dry.connect(this.output);
+        this.wet.connect(this.output);
+    }
+
+    updateMix() {
+        const on = this.patch[`${this.name}On`];
+        const mix = this.patch[`${this.name}Mix`];
+        const now = this.ctx.currentTime;
+        this.dry.gain.setTargetAtTime(on ? 1 - mix : 1, now, SMOOTHING_TIME);
+        this.wet.gain.setTargetAtTime(on ? mix : 0, now, SMOOTHING_TIME);
+    }
+
+    update(param) {
+        if (!param.startsWith(this.name)) return;
+        if (param === `${this.name}On` || param === `${this.name}Mix`) this.updateMix();
+        else this.updateParam(param);
+    }
+
+    updateAll() {
+        this.updateMix();
+        Object.keys(paramMap).filter(p => p.startsWith(this.name)).forEach(p => this.updateParam(p));
+    }
+
+    updateParam(param) {}
+
+    get patch() {
+        return this.engine.patch;
+    }
+}
+
+// Waveshaper saturation followed by a tone low-pass
+class DriveFx extends FxUnit {
+    constructor(ctx, engine) {
+        super(ctx, 'drive', engine);
+        this.shaper = ctx.createWaveShaper();
+        this.shaper.oversample = '4x';
+        this.tone = ctx.createBiquadFilter();
+        this.tone.type = 'lowpass';
+        this.makeup = ctx.createGain();
+        this.input.connect(this.shaper);
+        this.shaper.connect(this.tone);
+        this.tone.connect(this.makeup);
+        this.makeup.connect(this.wet);
+        this.updateAll();
+    }
+
+    updateParam(param) {
+        const now = this.ctx.currentTime;
+        if (param === 'driveAmount') {
+            this.shaper.curve = getDriveCurve(1 + this.patch.driveAmount * 50);
+            this.makeup.gain.setTargetAtTime(1 - this.patch.driveAmount * 0.5, now, SMOOTHING_TIME);
+        }
+        if (param === 'driveTone') this.tone.frequency.setTargetAtTime(this.patch.driveTone, now, SMOOTHING_TIME);
+    }
+}
+
+// Two modulated delay lines, LFO inverted on the right for width. Flanger: shorter delay plus feedback
+class ChorusFx extends FxUnit {
+    constructor(ctx, engine) {
+        super(ctx, 'chorus', engine);
+        const splitter = ctx.createChannelSplitter(2);
+        const merger = ctx.createChannelMerger(2);
+        this.delays = [ctx.createDelay(0.05), ctx.createDelay(0.05)];
+        this.feedback = [ctx.createGain(), ctx.createGain()];
+        this.depths = [ctx.createGain(), ctx.createGain()];
+        this.lfo = ctx.createOscillator();
+
+        this.input.connect(splitter);
+        this.delays.forEach((delay, ch) => {
+            splitter.connect(delay, ch);
+            delay.connect(this.feedback[ch]);
+            this.feedback[ch].connect(delay);
+            delay.connect(merger, 0, ch);
+            this.lfo.connect(this.depths[ch]);
+            this.depths[ch].connect(delay.delayTime);
+        });
+        merger.connect(this.wet);
+        this.lfo.start();
+        this.updateAll();
+    }
+
+    updateParam(param) {
+        const now = this.ctx.currentTime;
+        const flanger = this.patch.chorusMode === 'flanger';
+        if (param === 'chorusRate') this.lfo.frequency.setTargetAtTime(this.patch.chorusRate, now, SMOOTHING_TIME);
+        if (param === 'chorusMode' || param === 'chorusDepth') {
+            const base = flanger ? 0.003 : 0.015;
+            const depth = this.patch.chorusDepth * (flanger ? 0.0025 : 0.005);
+            this.delays.forEach(delay => delay.delayTime.setTargetAtTime(base, now, SMOOTHING_TIME));
+            this.depths[0].gain.setTargetAtTime(depth, now, SMOOTHING_TIME);
+            this.depths[1].gain.setTargetAtTime(-depth, now, SMOOTHING_TIME);
+        }
+        if (param === 'chorusMode' || param === 'chorusFeedback') {
+            const fb = flanger ? this.patch.chorusFeedback : 0;
+            this.feedback.forEach(g => g.gain.setTargetAtTime(fb, now, SMOOTHING_TIME));
+        }
+    }
+}
+
+// Stereo: each side repeats on itself. Ping-pong: a mono sum bounces left -> right -> left
+class DelayFx extends FxUnit {
+    constructor(ctx, engine) {
+        super(ctx, 'delay', engine);
+        this.splitter = ctx.createChannelSplitter(2);
+        this.monoSum = ctx.createGain();
+        this.monoSum.channelCount = 1;
+        this.monoSum.channelCountMode = 'explicit';
+        const merger = ctx.createChannelMerger(2);
+        this.delays = [ctx.createDelay(4), ctx.createDelay(4)];
+        this.tones = [ctx.createBiquadFilter(), ctx.createBiquadFilter()];
+        this.feedback = [ctx.createGain(), ctx.createGain()];
+
+        this.input.connect(this.splitter);
+        this.input.connect(this.monoSum);
+        this.delays.forEach((delay, ch) => {
+            this.tones[ch].type = 'lowpass';
+            delay.connect(this.tones[ch]);
+            this.tones[ch].connect(this.feedback[ch]);
+            this.tones[ch].connect(merger, 0, ch);
+        });
+        merger.connect(this.wet);
+        this.updateAll();
+    }
+
+    connectRouting() {
+        [this.splitter, this.monoSum, ...this.feedback].forEach(n => n.disconnect());
+        const [left, right] = this.delays;
+        if (this.patch.delayMode === 'pingpong') {
+            this.monoSum.connect(left);
+            this.feedback[0].connect(right);
+            this.feedback[1].connect(left);
+        } else {
+            this.splitter.connect(left, 0);
+            this.splitter.connect(right, 1);
+            this.feedback[0].connect(left);
+            this.feedback[1].connect(right);
+        }
+    }
+
+    getDelayTime() {
+        if (!this.patch.delaySync) return this.patch.delayTime;
+        return Math.min(4, 60 / getTempo(this.engine) * delayDivisions[this.patch.delayDivision]);
+    }
+
+    updateParam(param) {
+        const now = this.ctx.currentTime;
+        if (param === 'delayMode') this.connectRouting();
+        if (param === 'delayTime' || param === 'delaySync' || param === 'delayDivision') {
+            this.delays.forEach(delay => delay.delayTime.setTargetAtTime(this.getDelayTime(), now, 0.05));
+        }
+        if (param === 'delayFeedback') this.feedback.forEach(g => g.gain.setTargetAtTime(this.patch.delayFeedback, now, SMOOTHING_TIME));
+        if (param === 'delayTone') this.tones.forEach(f => f.frequency.setTargetAtTime(this.patch.delayTone, now, SMOOTHING_TIME));
+    }
+}
+
+// Convolution reverb on a generated impulse: decaying stereo noise, darkening over time by `damp`
+class ReverbFx extends FxUnit {
+    constructor(ctx, engine) {
+        super(ctx, 'reverb', engine);
+        this.preDelay = ctx.createDelay(1);
+        this.convolver = ctx.createConvolver();
+        this.impulseKey = null;
+        this.impulseTimer = null;
+        this.input.connect(this.preDelay);
+        this.preDelay.connect(this.convolver);
+        this.convolver.connect(this.wet);
+        this.buildImpulse();
+        this.updateAll();
+    }
+
+    buildImpulse() {
+        const key = `${this.patch.reverbSize}/${this.patch.reverbDamp}`;
+        if (key === this.impulseKey) return;
+        this.impulseKey = key;
+        this.convolver.buffer = createImpulseResponse(this.ctx, this.patch.reverbSize, this.patch.reverbDamp, this.engine.random);
+    }
+
+    updateParam(param) {
+        if (param === 'reverbPreDelay') this.preDelay.delayTime.setTargetAtTime(this.patch.reverbPreDelay, this.ctx.currentTime, SMOOTHING_TIME);
+        if (param === 'reverbSize' || param === 'reverbDamp') {
+            // Regenerating the impulse is the expensive part, so wait for the knob to settle
+            clearTimeout(this.impulseTimer);
+            this.impulseTimer = setTimeout(() => this.buildImpulse(), 100);
+        }
+    }
+}
+
+function createImpulseResponse(ctx, seconds, damp, random = Math.random) {
+    const length = Math.max(1, Math.round(ctx.sampleRate * seconds));
+    const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+    for (let ch = 0; ch < 2; ch++) {
+        const data = buffer.getChannelData(ch);
+        let lp = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / length;
+            lp += (1 - damp * 0.95 * t) * (random() * 2 - 1 - lp); // One-pole low-pass closing over time
+            data[i] = lp * Math.exp(-6.9 * t); // -60 dB by the end
+        }
+    }
+    return buffer;
+}
+
+function initFx() {
+    fxInput = audioCtx.createGain();
+    fxUnits = createFxUnits(audioCtx, liveEngine);
+    connectFxChain();
+}
+
+function createFxUnits(ctx, engine) {
+    return {
+        drive: new DriveFx(ctx, engine),
+        chorus: new ChorusFx(ctx, engine),
+        delay: new DelayFx(ctx, engine),
+        reverb: new ReverbFx(ctx, engine)
+    };
+}
+
+function connectFxChain() {
+    if (fxUnits) wireFxChain(fxInput, fxUnits, settings.fxOrder, masterGainNode);
+}
+
+function wireFxChain(input, units, order, output) {
+    input.disconnect();
+    Object.values(units).forEach(fx => fx.output.disconnect());
+    let node = input;
+    order.forEach(name => {
+        node.connect(units[name].input);
+        node = units[name].output;
+    });
+    node.connect(output);
+}
+
+function refreshFx() {
+    if (fxUnits) Object.values(fxUnits).forEach(fx => fx.updateAll());
+}
+
+function moveFx(name, direction) {
+    const order = [...settings.fxOrder];
+    const from = order.indexOf(name);
+    const to = from + direction;
+    if (to < 0 || to >= order.length) return;
+    [order[from], order[to]] = [order[to], order[from]];
+    settings.fxOrder = order;
+    renderFxOrder();
+    connectFxChain();
+    saveSettings();
+}
+
+// FX units are static markup; their DOM order mirrors the chain order
+function renderFxOrder() {
+    const container = document.getElementById('fx-chain');
+    settings.fxOrder.forEach(name => container.appendChild(container.querySelector(`[data-fx="${name}"]`)));
+}
+
+function initFxUI() {
+    document.querySelectorAll('.fx-unit').forEach(unit => {
+        unit.querySelector('.fx-left').addEventListener('click', () => moveFx(unit.dataset.fx, -1));
+        unit.querySelector('.fx-right').addEventListener('click', () => moveFx(unit.dataset.fx, 1));
+    });
+    renderFxOrder();
+}
+
+function handleTempoChange() {
+    updateLfoRates();
+    if (fxUnits && settings.delaySync) fxUnits.delay.updateParam('delayTime');
+}
+
+// --- Mono / Legato ---
+// One voice follows a stack of held notes; releasing a key falls back to the next note by priority
+
+let monoStack = []; // { note, velocity } of held notes, oldest first
+let monoVoice = null; // Also in activeVoices, keyed by the note it is sounding
+let lastMonoNote = null; // Glide source for 'always' mode
+
+function startMonoNote(noteNum, velocity, time) {
+    monoStack = monoStack.filter(e => e.note !== noteNum);
+    monoStack.push({ note: noteNum, velocity });
+    playMonoNote(time, true);
+}
+
+function stopMonoNote(noteNum, time) {
+    monoStack = monoStack.filter(e => e.note !== noteNum);
+    sustainedNotes.delete(noteNum);
+    if (monoStack.length) {
+        playMonoNote(time, false);
+    } else if (monoVoice) {
+        monoVoice.release(time);
+        monoVoice = null;
+        activeVoices.clear();
+        updatePianoDisplay();
+    }
+}
+
+function pickMonoNote() {
+    if (settings.notePriority === 'low') return monoStack.reduce((a, b) => (b.note < a.note ? b : a));
+    if (settings.notePriority === 'high') return monoStack.reduce((a, b) => (b.note > a.note ? b : a));
+    return monoStack[monoStack.length - 1];
+}
+
+// Points the mono voice at the priority note: legato slides without retriggering,
+// mono retriggers the envelopes for a new key
+function playMonoNote(time, newKey) {
+    const target = pickMonoNote();
+    const legato = monoVoice !== null;
+    if (legato && monoVoice.note === target.note && (settings.voiceMode === 'legato' || !newKey)) return;
+
+    const freq = noteFreq(target.note);
+    const glide = (legato || settings.glideMode === 'always') && lastMonoNote !== null ? settings.glideTime : 0;
+
+    if (legato) {
+        activeVoices.delete(monoVoice.note);
+        monoVoice.glideTo(freq, target.note, glide, time);
+        if (settings.voiceMode === 'mono') monoVoice.retrigger(target.velocity, time);
+    } else {
+        monoVoice = new SynthVoice(audioCtx, fxInput);
+        monoVoice.trigger(glide ? noteFreq(lastMonoNote) : freq, target.note, target.velocity, time);
+        if (glide) monoVoice.glideTo(freq, target.note, glide, time);
+    }
+    activeVoices.set(target.note, monoVoice);
+    lastMonoNote = target.note;
+    updatePianoDisplay();
+}
+
+// Switching between poly and mono can't hand voices over, so everything sounding is released
+function handleVoiceModeChange() {
+    const mono = settings.voiceMode !== 'poly';
+    if (mono === (monoVoice !== null)) return;
+    activeVoices.forEach(voice => voice.release());
+    activeVoices.clear();
+    monoVoice = null;
+    monoStack = [];
+    sustainedNotes.clear();
+    updatePianoDisplay();
+}
+
+// --- Pedals ---
+
+function setSustainPedal(down) {
+    if (down === sustainPedal) return;
+    sustainPedal = down;
+    if (!down) releasePedalNotes();
+}
+
+// Sostenuto only captures the keys that are down at the moment it is pressed
+function setSostenutoPedal(down) {
+    if (down === sostenutoPedal) return;
+    sostenutoPedal = down;
+    if (down) {
+        sostenutoNotes = new Set(heldKeys);
+    } else {
+        sostenutoNotes.clear();
+        releasePedalNotes();
+    }
+}
+
+function releasePedalNotes() {
+    sustainedNotes.forEach(noteNum => {
+        if (sustainPedal || sostenutoNotes.has(noteNum)) return;
+        releaseNote(noteNum);
+    });
+}
+
+// --- Scheduler ---
+// Lookahead scheduling: a coarse JS timer queues events slightly ahead on the audio clock
+
+let schedulerTimer = null;
+let scheduledEvents = []; // { time, fn, owner }, sorted by time
+
+function scheduleEvent(time, fn, owner) {
+    const index = scheduledEvents.findIndex(e => e.time > time);
+    const event = { time, fn, owner };
+    if (index === -1) scheduledEvents.push(event);
+    else scheduledEvents.splice(index, 0, event);
+}
+
+function clearEvents(owner) {
+    scheduledEvents = scheduledEvents.filter(e => e.owner !== owner);
+}
+
+function startScheduler() {
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(schedulerTick, SCHEDULER_INTERVAL);
+    schedulerTick();
+}
+
+function schedulerTick() {
+    if (!audioCtx) return;
+    const horizon = audioCtx.currentTime + SCHEDULE_AHEAD;
+    scheduleArp(horizon);
+    scheduleSequencer(horizon);
+    scheduleMidiFile(horizon);
+
+    // Events may queue further events (e.g. gate offs), so re-check the head each time
+    while (scheduledEvents.length && scheduledEvents[0].time < horizon) {
+        const event = scheduledEvents.shift();
+        event.fn(event.time);
+    }
+
+    if (!arpRunning && !(seqPlaying && !midiClockSync) && !midiFilePlaying && !scheduledEvents.length) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+// --- Sequencer ---
+
+let seqPlaying = false;
+let seqChainPos = 0; // Index into seqChain (chain mode)
+let seqStepPos = 0; // Next step to queue within the current pattern
+let nextSeqStepTime = 0;
+let seqHeldNote = null; // Note left sounding by a tie or an open gate
+let seqHeldId = 0;
+let seqHeldTied = false; // seqHeldNote's step was tied into the next one
+let seqEditPattern = 0;
+let seqPage = 0;
+
+function createDefaultPatterns() {
+    const patterns = [];
+    for (let p = 0; p < SEQ_PATTERNS; p++) {
+        const steps = [];
+        for (let i = 0; i < SEQ_MAX_STEPS; i++) {
+            steps.push({ note: 60, velocity: 100, gate: 0.5, tie: false, rest: true });
+        }
+        patterns.push({ length: 16, steps });
+    }
+    return patterns;
+}
+
+function currentSeqPatternIndex() {
+    if (settings.seqMode === 'chain') return settings.seqChain[seqChainPos % settings.seqChain.length];
+    return seqEditPattern;
+}
+
+function startSequencer() {
+    initAudio();
+    if (seqPlaying) return;
+    seqPlaying = true;
+    locateSequencer(0);
+    nextSeqStepTime = audioCtx.currentTime + 0.005;
+    document.getElementById('seq-play-btn').classList.add('active');
+    document.getElementById('seq-play-btn').textContent = 'Stop';
+    startScheduler();
+}
+
+function stopSequencer() {
+    if (!seqPlaying) return;
+    seqPlaying = false;
+    clearEvents('seq');
+    releaseSeqNote();
+    document.getElementById('seq-play-btn').classList.remove('active');
+    document.getElementById('seq-play-btn').textContent = 'Play Seq';
+    highlightSeqStep(-1, -1);
+}
+
+// Moves the playhead to an absolute step count from the start of the pattern/chain
+function locateSequencer(stepCount) {
+    seqChainPos = 0;
+    seqStepPos = 0;
+    for (let i = 0; i < stepCount; i++) advanceSeqPosition();
+}
+
+function advanceSeqPosition() {
+    const pattern = settings.seqPatterns[currentSeqPatternIndex()];
+    seqStepPos++;
+    if (seqStepPos >= pattern.length) {
+        seqStepPos = 0;
+        if (settings.seqMode === 'chain') seqChainPos = (seqChainPos + 1) % settings.seqChain.length;
+    }
+}
+
+// Called by the scheduler while running on the internal clock
+function scheduleSequencer(horizon) {
+    if (!seqPlaying || midiClockSync) return;
+    while (nextSeqStepTime < horizon) {
+        const duration = (60 / settings.arpRate) * arpDivisions[settings.seqDivision];
+        queueSeqStep(nextSeqStepTime, duration);
+        nextSeqStepTime += duration;
+    }
+}
+
+function queueSeqStep(time, duration) {
+    const patternIndex = currentSeqPatternIndex();
+    const stepIndex = seqStepPos;
+    advanceSeqPosition();
+    scheduleEvent(time, t => playSeqStep(t, duration, patternIndex, stepIndex), 'seq');
+}
+
+function playSeqStep(time, duration, patternIndex, stepIndex) {
+    const step = settings.seqPatterns[patternIndex].steps[stepIndex];
+    highlightSeqStep(patternIndex, stepIndex, time);
+
+    // A tie into the same note keeps it sounding instead of retriggering
+    const continues = seqHeldTied && seqHeldNote !== null && !step.rest && step.note === seqHeldNote;
+    if (!continues) {
+        releaseSeqNote(time);
+        if (step.rest) return;
+        noteOn(step.note, step.velocity, time);
+        seqHeldNote = step.note;
+    }
+
+    const id = ++seqHeldId;
+    seqHeldTied = step.tie;
+    if (step.tie) return;
+    scheduleEvent(time + duration * step.gate, t => {
+        if (seqHeldId === id) releaseSeqNote(t);
+    }, 'seq');
+}
+
+function releaseSeqNote(time) {
+    if (seqHeldNote === null) return;
+    noteOff(seqHeldNote, time);
+    seqHeldNote = null;
+    seqHeldTied = false;
+}
+
+function noteName(noteNum) {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    return names[noteNum % 12] + (Math.floor(noteNum / 12) - 1);
+}
+
+function initSequencerUI() {
+    const patternSelect = document.getElementById('seq-pattern');
+    for (let p = 0; p < SEQ_PATTERNS; p++) {
+        const opt = document.createElement('option');
+        opt.value = p;
+        opt.text = String.fromCharCode(65 + p);
+        patternSelect.appendChild(opt);
+    }
+    patternSelect.addEventListener('change', (e) => {
+        seqEditPattern = parseInt(e.target.value);
+        seqPage = 0;
+        renderSequencer();
+    });
+
+    document.getElementById('seq-length').addEventListener('change', (e) => {
+        settings.seqPatterns[seqEditPattern].length = parseInt(e.target.value);
+        seqPage = Math.min(seqPage, settings.seqPatterns[seqEditPattern].length / SEQ_PAGE_SIZE - 1);
+        saveSettings();
+        renderSequencer();
+    });
+
+    document.querySelectorAll('.seq-page-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            seqPage = parseInt(btn.dataset.page);
+            renderSequencer();
+        });
+    });
+
+    document.getElementById('seq-chain').addEventListener('change', (e) => {
+        const chain = e.target.value.toUpperCase().split(/[\s,]+/)
+            .map(c => c.charCodeAt(0) - 65)
+            .filter(p => p >= 0 && p < SEQ_PATTERNS);
+        settings.seqChain = chain.length ? chain : [0];
+        saveSettings();
+        renderSequencer();
+    });
+
+    document.getElementById('seq-clear-btn').addEventListener('click', () => {
+        settings.seqPatterns[seqEditPattern] = createDefaultPatterns()[0];
+        saveSettings();
+        renderSequencer();
+    });
+
+    document.getElementById('seq-play-btn').addEventListener('click', () => {
+        if (seqPlaying) stopSequencer();
+        else startSequencer();
+    });
+
+    renderSequencer();
+}
+
+function renderSequencer() {
+    const pattern = settings.seqPatterns[seqEditPattern];
+    document.getElementById('seq-pattern').value = seqEditPattern;
+    document.getElementById('seq-length').value = pattern.length;
+    document.getElementById('seq-chain').value = settings.seqChain.map(p => String.fromCharCode(65 + p)).join(' ');
+    document.querySelectorAll('.seq-page-btn').forEach(btn => {
+        const page = parseInt(btn.dataset.page);
+        btn.disabled = page * SEQ_PAGE_SIZE >= pattern.length;
+        btn.classList.toggle('active', page === seqPage);
+    });
+
+    const grid = document.getElementById('seq-grid');
+    grid.innerHTML = '';
+    for (let i = seqPage * SEQ_PAGE_SIZE; i < (seqPage + 1) * SEQ_PAGE_SIZE; i++) {
+        const step = pattern.steps[i];
+        const cell = document.createElement('div');
+        cell.className = 'seq-step';
+        cell.dataset.step = i;
+        cell.classList.toggle('rest', step.rest);
+        cell.innerHTML = `
+            <button class="seq-toggle">${i + 1}</button>
+            <input type="number" class="seq-note" min="0" max="127" step="1" value="${step.note}" title="Note">
+            <span class="seq-note-name">${noteName(step.note)}</span>
+            <input type="number" class="seq-vel" min="1" max="127" step="1" value="${step.velocity}" title="Velocity">
+            <input type="range" class="seq-gate" min="0.05" max="1" step="0.05" value="${step.gate}" title="Gate">
+            <label class="seq-tie-label"><input type="checkbox" class="seq-tie"${step.tie ? ' checked' : ''}> Tie</label>
+        `;
+
+        cell.querySelector('.seq-toggle').addEventListener('click', () => {
+            step.rest = !step.rest;
+            cell.classList.toggle('rest', step.rest);
+            saveSettings();
+        });
+        cell.querySelector('.seq-note').addEventListener('change', (e) => {
+            step.note = Math.max(0, Math.min(127, parseInt(e.target.value) || 0));
+            e.target.value = step.note;
+            cell.querySelector('.seq-note-name').textContent = noteName(step.note);
+            saveSettings();
+        });
+        cell.querySelector('.seq-vel').addEventListener('change', (e) => {
+            step.velocity = Math.max(1, Math.min(127, parseInt(e.target.value) || 100));
+            e.target.value = step.velocity;
+            saveSettings();
+        });
+        cell.querySelector('.seq-gate').addEventListener('change', (e) => {
+            step.gate = parseFloat(e.target.value);
+            saveSettings();
+        });
+        cell.querySelector('.seq-tie').addEventListener('change', (e) => {
+            step.tie = e.target.checked;
+            saveSettings();
+        });
+        grid.appendChild(cell);
+    }
+}
+
+// Lights the playing step when its audio time arrives
+function highlightSeqStep(patternIndex, stepIndex, time) {
+    const apply = () => {
+        document.querySelectorAll('.seq-step.playing').forEach(el => el.classList.remove('playing'));
+        if (patternIndex !== seqEditPattern) return;
+        const cell = document.querySelector(`.seq-step[data-step="${stepIndex}"]`);
+        if (cell) cell.classList.add('playing');
+    };
+    if (time === undefined) apply();
+    else setTimeout(apply, Math.max(0, (time - audioCtx.currentTime) * 1000));
+}
+
+// --- Computer Keyboard & On-Screen Piano ---
+
+// Two rows, tracker style: Z row from the base octave, Q row one octave up (semitones from base C)
+const qwertyMap = {
+    KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7, KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11,
+    Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+    KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18, KeyT: 19, Digit6: 20, KeyY: 21,
+    Digit7: 22, KeyU: 23, KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28
+};
+const PIANO_FIRST_NOTE = 36; // C2
+const PIANO_LAST_NOTE = 84; // C6
+
+let kbdOctave = 4; // Base octave of the Z row (C4 = 60)
+let kbdVelocity = 100;
+const kbdPressed = new Map(); // event.code -> note, so octave changes don't strand notes
+const pianoPointers = new Map(); // pointerId -> note
+
+function initKeyboardInput() {
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', releaseComputerKeys);
+
+    buildPiano();
+    updateKeyboardStatus();
+}
+
+// Text fields keep their keys; sliders, toggles and selects only take focus from a click
+function isTypingTarget(el) {
+    return Boolean(el) && (el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && !['range', 'checkbox'].includes(el.type)));
+}
+
+function handleKeyDown(e) {
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+    if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+        kbdOctave = Math.max(1, Math.min(7, kbdOctave + (e.code === 'ArrowRight' ? 1 : -1)));
+        updateKeyboardStatus();
+        e.preventDefault();
+        return;
+    }
+    if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+        kbdVelocity = Math.max(1, Math.min(127, kbdVelocity + (e.code === 'ArrowUp' ? 16 : -16)));
+        updateKeyboardStatus();
+        e.preventDefault();
+        return;
+    }
+
+    const offset = qwertyMap[e.code];
+    if (offset === undefined || kbdPressed.has(e.code)) return;
+    const note = (kbdOctave + 1) * 12 + offset;
+    if (note > 127) return;
+    // The two rows overlap by an octave, so a note can be held by two keys at once
+    const held = [...kbdPressed.values()].includes(note);
+    kbdPressed.set(e.code, note);
+    if (!held) noteOn(note, kbdVelocity);
+    e.preventDefault();
+}
+
+function handleKeyUp(e) {
+    const note = kbdPressed.get(e.code);
+    if (note === undefined) return;
+    kbdPressed.delete(e.code);
+    if (![...kbdPressed.values()].includes(note)) noteOff(note);
+}
+
+function releaseComputerKeys() {
+    new Set(kbdPressed.values()).forEach(note => noteOff(note));
+    kbdPressed.clear();
+    pianoPointers.forEach(note => noteOff(note));
+    pianoPointers.clear();
+}
+
+function updateKeyboardStatus() {
+    const el = document.getElementById('kbd-status');
+    if (el) el.textContent = `Octave: C${kbdOctave}  Velocity: ${kbdVelocity}`;
+}
+
+function buildPiano() {
+    const piano = document.getElementById('piano');
+    piano.innerHTML = '';
+    for (let n = PIANO_FIRST_NOTE; n <= PIANO_LAST_NOTE; n++) {
+        const key = document.createElement('div');
+        const black = [1, 3, 6, 8, 10].includes(n % 12);
+        key.className = `piano-key ${black ? 'black' : 'white'}`;
+        key.dataset.note = n;
+        if (n % 12 === 0) key.textContent = noteName(n);
+        piano.appendChild(key);
+    }
+
+    piano.addEventListener('pointerdown', (e) => {
+        const key = e.target.closest('.piano-key');
+        if (!key) return;
+        e.preventDefault();
+        const note = parseInt(key.dataset.note);
+        pianoPointers.set(e.pointerId, note);
+        noteOn(note, kbdVelocity);
+    });
+
+    // Glissando: follow the pointer across keys while it is down
+    window.addEventListener('pointermove', (e) => {
+        if (!pianoPointers.has(e.pointerId)) return;
+        const el = document.elementFromPoint(e.clientX, e.clientY);
+        const key = el && el.closest('.piano-key');
+        const current = pianoPointers.get(e.pointerId);
+        const note = key ? parseInt(key.dataset.note) : null;
+        if (note === current) return;
+        if (current !== null) noteOff(current);
+        if (note !== null) noteOn(note, kbdVelocity);
+        pianoPointers.set(e.pointerId, note);
+    });
+
+    const endPointer = (e) => {
+        if (!pianoPointers.has(e.pointerId)) return;
+        const note = pianoPointers.get(e.pointerId);
+        pianoPointers.delete(e.pointerId);
+        if (note !== null) noteOff(note);
+    };
+    window.addEventListener('pointerup', endPointer);
+    window.addEventListener('pointercancel', endPointer);
+}
+
+function updatePianoDisplay() {
+    document.querySelectorAll('.piano-key').forEach(key => {
+        key.classList.toggle('active', activeVoices.has(parseInt(key.dataset.note)));
+    });
+}
+
+// --- Visualizers ---
+// An AnalyserNode on masterGainNode (post FX and volume) feeds the scope, spectrum and level meter.
+// The envelope displays draw the patch's envelope shapes, with a marker following the newest voice
+
+const SPECTRUM_MIN_FREQ = 20;
+const SPECTRUM_MIN_DB = -100;
+const SPECTRUM_MAX_DB = -10;
+const METER_MIN_DB = -60;
+const METER_PEAK_HOLD = 1.5; // Seconds the peak marker holds before falling
+const METER_FALL = 20; // dB per second the peak marker falls
+const CLIP_HOLD = 2; // Seconds the clip indicator stays lit after the last clipped sample
+const ENV_DISPLAY_SUSTAIN = 0.25; // Share of the envelope display given to the sustain stage
+
+let analyserNode = null;
+let scopeData = null;
+let spectrumData = null;
+let meterPeak = { db: -Infinity, time: 0 };
+let clipTime = -Infinity;
+let vizFrame = null;
+let envMarkerShown = false;
+
+// Params that shape each envelope display; `envelope` names the SynthVoice field to follow
+const envDisplays = [
+    {
+        canvas: 'amp-env-canvas', envelope: 'ampEnvelope',
+        params: ['ampDelay', 'attack', 'ampHold', 'decay', 'sustain', 'release', 'ampAttackCurve', 'ampCurve', 'ampLoop'],
+        stages: p => ({ delay: p.ampDelay, attack: p.attack, hold: p.ampHold, decay: p.decay, sustain: p.sustain, release: p.release, attackCurve: p.ampAttackCurve, curve: p.ampCurve, loop: p.ampLoop })
+    },
+    {
+        canvas: 'filter-env-canvas', envelope: 'filterEnvelope',
+        params: ['f_delay', 'f_attack', 'f_hold', 'f_decay', 'f_sustain', 'f_release', 'f_curve', 'f_loop'],
+        stages: p => ({ delay: p.f_delay, attack: p.f_attack, hold: p.f_hold, decay: p.f_decay, sustain: p.f_sustain, release: p.f_release, attackCurve: p.f_curve, curve: p.f_curve, loop: p.f_loop })
+    }
+];
+
+function initAnalyser() {
+    analyserNode = audioCtx.createAnalyser();
+    analyserNode.fftSize = 4096;
+    analyserNode.smoothingTimeConstant = 0.75;
+    masterGainNode.connect(analyserNode);
+    scopeData = new Float32Array(analyserNode.fftSize);
+    spectrumData = new Float32Array(analyserNode.frequencyBinCount);
+    if (!vizFrame) vizFrame = requestAnimationFrame(drawVisualizers);
+}
+
+function drawVisualizers() {
+    vizFrame = requestAnimationFrame(drawVisualizers);
+    if (document.hidden) return;
+    analyserNode.getFloatTimeDomainData(scopeData);
+    analyserNode.getFloatFrequencyData(spectrumData);
+    drawScope();
+    drawSpectrum();
+    drawMeter();
+    // One more redraw after the last voice ends clears the marker
+    if (activeVoices.size || envMarkerShown) drawEnvelopeDisplays();
+}
+
+// Sizes the canvas backing store to its CSS box so lines stay sharp
+function getCanvasContext(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio) || canvas.width;
+    const height = Math.round(canvas.clientHeight * ratio) || canvas.height;
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    return ctx;
+}
+
+// Starts on a rising zero crossing so periodic waves stand still
+function drawScope() {
+    const canvas = document.getElementById('scope-canvas');
+    const ctx = getCanvasContext(canvas);
+    const { width, height } = canvas;
+    const span = scopeData.length / 2;
+    let offset = 0;
+    while (offset < span && !(scopeData[offset] <= 0 && scopeData[offset + 1] > 0)) offset++;
+    if (offset === span) offset = 0;
+
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+
+    ctx.strokeStyle = '#4CAF50';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let x = 0; x < width; x++) {
+        const sample = scopeData[offset + Math.floor(x / width * span)];
+        const y = (1 - Math.max(-1, Math.min(1, sample))) * height / 2;
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+}
+
+// Log frequency axis from SPECTRUM_MIN_FREQ to Nyquist
+function drawSpectrum() {
+    const canvas = document.getElementById('spectrum-canvas');
+    const ctx = getCanvasContext(canvas);
+    const { width, height } = canvas;
+    const nyquist = audioCtx.sampleRate / 2;
+    const binWidth = nyquist / spectrumData.length;
+    const logSpan = Math.log(nyquist / SPECTRUM_MIN_FREQ);
+
+    ctx.strokeStyle = '#333';
+    ctx.fillStyle = '#777';
+    ctx.font = '10px sans-serif';
+    [100, 1000, 10000].forEach(freq => {
+        const x = Math.log(freq / SPECTRUM_MIN_FREQ) / logSpan * width;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : freq, x + 2, height - 2);
+    });
+
+    ctx.fillStyle = 'rgba(76, 175, 80, 0.5)';
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    for (let x = 0; x < width; x++) {
+        // Peak of the bins under this pixel column, so high octaves aren't undersampled
+        const lo = Math.floor(SPECTRUM_MIN_FREQ * Math.exp(x / width * logSpan) / binWidth);
+        const hi = Math.max(lo + 1, Math.floor(SPECTRUM_MIN_FREQ * Math.exp((x + 1) / width * logSpan) / binWidth));
+        let db = -Infinity;
+        for (let bin = lo; bin < hi && bin < spectrumData.length; bin++) db = Math.max(db, spectrumData[bin]);
+        const level = (Math.max(SPECTRUM_MIN_DB, Math.min(SPECTRUM_MAX_DB, db)) - SPECTRUM_MIN_DB) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB);
+        ctx.lineTo(x, height * (1 - level));
+    }
+    ctx.lineTo(width, height);
+    ctx.closePath();
+    ctx.fill();
+}
+
+// RMS bar with a falling peak marker; the clip light latches for CLIP_HOLD seconds (click to clear)
+function drawMeter() {
+    const canvas = document.getElementById('meter-canvas');
+    const ctx = getCanvasContext(canvas);
+    const { width, height } = canvas;
+    const now = performance.now() / 1000;
+
+    let sum = 0;
+    let peak = 0;
+    scopeData.forEach(sample => {
+        sum += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+    });
+    const rmsDb = 10 * Math.log10(sum / scopeData.length);
+    const peakDb = 20 * Math.log10(peak);
+    if (peak >= 1) clipTime = now;
+
+    const held = meterPeak.db - Math.max(0, now - meterPeak.time - METER_PEAK_HOLD) * METER_FALL;
+    if (peakDb >= held) meterPeak = { db: peakDb, time: now };
+    const shownPeak = Math.max(peakDb, held);
+    const toX = db => Math.max(0, Math.min(1, (db - METER_MIN_DB) / -METER_MIN_DB)) * width;
+
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#4CAF50');
+    gradient.addColorStop(0.8, '#CDDC39');
+    gradient.addColorStop(1, '#f44336');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, toX(rmsDb), height);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(toX(shownPeak) - 1, 0, 2, height);
+
+    document.getElementById('meter-value').textContent = isFinite(shownPeak) ? `${shownPeak.toFixed(1)} dB` : '-inf dB';
+    document.getElementById('clip-indicator').classList.toggle('clipping', now - clipTime < CLIP_HOLD);
+}
+
+// Seconds the display gives each stage; sustain has no length so it gets a fixed share
+function getEnvelopeLayout(stages) {
+    const timed = stages.delay + stages.attack + stages.hold + stages.decay + stages.release;
+    const sustain = Math.max(timed, 0.1) * ENV_DISPLAY_SUSTAIN / (1 - ENV_DISPLAY_SUSTAIN);
+    return { sustain, total: timed + sustain };
+}
+
+function drawEnvelopeDisplays() {
+    const voice = [...activeVoices.values()].pop();
+    envMarkerShown = Boolean(voice);
+    envDisplays.forEach(display => {
+        const canvas = document.getElementById(display.canvas);
+        if (!canvas) return;
+        const ctx = getCanvasContext(canvas);
+        const { width, height } = canvas;
+        const stages = display.stages(settings);
+        const { sustain, total } = getEnvelopeLayout(stages);
+        const toX = t => t / total * width;
+        const toY = level => (1 - level) * (height - 4) + 2;
+
+        // Delay, attack, hold, decay, sustain, release as (duration, from, to, curve) runs
+        const curve = Math.round(stages.curve);
+        const runs = [
+            [stages.delay, 0, 0, 0],
+            [stages.attack, 0, 1, Math.round(stages.attackCurve)],
+            [stages.hold, 1, 1, 0],
+            [stages.decay, 1, stages.sustain, curve],
+            [sustain, stages.sustain, stages.sustain, 0],
+            [stages.release, stages.sustain, 0, curve]
+        ];
+        ctx.strokeStyle = '#4CAF50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, toY(0));
+        let t = 0;
+        runs.forEach(([duration, from, to, shape]) => {
+            const steps = Math.max(1, Math.ceil(toX(duration)));
+            for (let n = 1; n <= steps; n++) {
+                const p = n / steps;
+                ctx.lineTo(toX(t + duration * p), toY(from + (to - from) * envelopeShape(p, shape)));
+            }
+            t += duration;
+        });
+        ctx.stroke();
+
+        // Sustain region, where a looping envelope cycles back to the attack
+        ctx.fillStyle = stages.loop ? 'rgba(76, 175, 80, 0.15)' : 'rgba(255, 255, 255, 0.05)';
+        const sustainStart = stages.delay + stages.attack + stages.hold + stages.decay;
+        ctx.fillRect(toX(sustainStart), 0, toX(sustain), height);
+
+        const envelope = voice && voice[display.envelope];
+        if (!envelope) return;
+        const now = voice.ctx.currentTime;
+        const elapsed = now - envelope.startTime;
+        if (elapsed < 0) return;
+        const cycle = stages.attack + stages.hold + stages.decay;
+        let x = elapsed;
+        if (stages.loop && cycle > 0 && elapsed > stages.delay) x = stages.delay + (elapsed - stages.delay) % cycle;
+        const peak = envelope.segments.reduce((max, seg) => Math.max(max, seg.to), 0) || 1;
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(toX(Math.min(x, sustainStart + sustain / 2)), toY(envelope.levelAt(now) / peak), 4, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+function initVisualizerUI() {
+    document.getElementById('clip-indicator').addEventListener('click', () => {
+        clipTime = -Infinity;
+        meterPeak = { db: -Infinity, time: 0 };
+    });
+    drawEnvelopeDisplays();
+}
+
+// --- Recorder ---
+// Taps masterGainNode (post FX and volume) with an AudioWorklet, or a ScriptProcessor where
+// worklets are unavailable, and keeps finished takes in memory until discarded
+
+const RECORDER_CHUNK = 4096; // Frames per message from the worklet
+const recorderWorkletSource = `
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.buffers = [[], []];
+        this.frames = 0;
+        this.port.onmessage = () => {
+            this.flush();
+            this.port.postMessage('done');
+        };
+    }
+    flush() {
+        if (!this.frames) return;
+        const chunk = this.buffers.map(parts => {
+            const out = new Float32Array(this.frames);
+            let offset = 0;
+            parts.forEach(part => { out.set(part, offset); offset += part.length; });
+            return out;
+        });
+        this.port.postMessage(chunk, chunk.map(ch => ch.buffer));
+        this.buffers = [[], []];
+        this.frames = 0;
+    }
+    process(inputs) {
+        const input = inputs[0];
+        if (input.length) {
+            this.buffers[0].push(input[0].slice(0));
+            this.buffers[1].push((input[1] || input[0]).slice(0));
+            this.frames += input[0].length;
+            if (this.frames >= ${RECORDER_CHUNK}) this.flush();
+        }
+        return true;
+    }
+}
+registerProcessor('recorder-processor', RecorderProcessor);
+`;
+
+let recorder = null; // { node, chunks, startTime, midiStart, midi, tempo } while recording
+let recorderWorkletReady = null;
+let takes = []; // { id, name, channels, sampleRate, duration, midi, tempo }
+let takeCount = 0;
+let auditionSource = null;
+let auditionTakeId = null;
+let recordTimer = null;
+
+function loadRecorderWorklet() {
+    if (!recorderWorkletReady) {
+        const url = URL.createObjectURL(new Blob([recorderWorkletSource], { type: 'application/javascript' }));
+        recorderWorkletReady = audioCtx.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+    }
+    return recorderWorkletReady;
+}
+
+async function createRecorderNode(onChunk) {
+    if (audioCtx.audioWorklet && window.AudioWorkletNode) {
+        try {
+            await loadRecorderWorklet();
+            const node = new AudioWorkletNode(audioCtx, 'recorder-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: 2,
+                channelCountMode: 'explicit'
+            });
+            node.port.onmessage = (e) => { if (e.data !== 'done') onChunk(e.data); };
+            return node;
+        } catch (e) {
+            console.warn('Recorder worklet unavailable, falling back to ScriptProcessor', e);
+        }
+    }
+    // Fallback: must reach the destination to be pulled; it outputs silence
+    const node = audioCtx.createScriptProcessor(RECORDER_CHUNK, 2, 2);
+    node.onaudioprocess = (e) => {
+        onChunk([0, 1].map(ch => e.inputBuffer.getChannelData(ch).slice(0)));
+    };
+    node.connect(audioCtx.destination);
+    return node;
+}
+
+async function startRecording() {
+    if (recorder) return;
+    initAudio();
+    const chunks = [];
+    const take = { node: null, chunks, startTime: audioCtx.currentTime, midiStart: performance.now(), midi: [], tempo: getTempo() };
+    recorder = take;
+    const node = await createRecorderNode(chunk => chunks.push(chunk));
+    if (recorder !== take) {
+        // Stopped (or restarted) while the worklet was loading: drop this node so it
+        // doesn't stay wired to the destination
+        node.onaudioprocess = null;
+        node.disconnect();
+        return;
+    }
+    recorder.node = node;
+    masterGainNode.connect(node);
+    recorder.startTime = audioCtx.currentTime;
+    recorder.midiStart = performance.now();
+    updateRecorderUI();
+}
+
+async function stopRecording() {
+    if (!recorder) return;
+    const { node, chunks, midi, tempo } = recorder;
+    recorder = null;
+    updateRecorderUI();
+    if (!node) return;
+
+    masterGainNode.disconnect(node);
+    if (window.AudioWorkletNode && node instanceof AudioWorkletNode) {
+        // Collect the worklet's partial last chunk before closing
+        await new Promise(resolve => {
+            node.port.onmessage = (e) => {
+                if (e.data === 'done') resolve();
+                else chunks.push(e.data);
+            };
+            node.port.postMessage('flush');
+        });
+    } else {
+        node.onaudioprocess = null;
+    }
+    node.disconnect();
+
+    const length = chunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+    if (!length) return;
+    const channels = [new Float32Array(length), new Float32Array(length)];
+    let offset = 0;
+    chunks.forEach(chunk => {
+        channels[0].set(chunk[0], offset);
+        channels[1].set(chunk[1], offset);
+        offset += chunk[0].length;
+    });
+
+    addTake(null, channels, audioCtx.sampleRate, midi, tempo);
+}
+
+function addTake(name, channels, sampleRate, midi = [], tempo = 120) {
+    takeCount++;
+    takes.push({
+        id: takeCount,
+        name: name || `Take ${takeCount}`,
+        channels,
+        sampleRate,
+        duration: channels[0].length / sampleRate,
+        midi,
+        tempo
+    });
+    renderTakes();
+}
+
+function toggleRecording() {
+    if (recorder) stopRecording();
+    else startRecording();
+}
+
+// Incoming MIDI channel messages (realtime and sysex are skipped), timed from the start of the take
+function captureMidi(event) {
+    if (!recorder || !document.getElementById('rec-midi').checked) return;
+    const status = event.data[0];
+    if (status < 0x80 || status >= 0xF0) return;
+    recorder.midi.push({ time: (event.timeStamp - recorder.midiStart) / 1000, data: [...event.data] });
+}
+
+function updateRecorderUI() {
+    const btn = document.getElementById('rec-btn');
+    const time = document.getElementById('rec-time');
+    btn.classList.toggle('recording', !!recorder);
+    btn.textContent = recorder ? 'Stop' : 'Record';
+    clearInterval(recordTimer);
+    if (recorder) {
+        recordTimer = setInterval(() => {
+            if (recorder) time.textContent = formatDuration(audioCtx.currentTime - recorder.startTime);
+        }, 200);
+    } else {
+        time.textContent = '';
+    }
+}
+
+function formatDuration(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function renderTakes() {
+    const list = document.getElementById('take-list');
+    list.innerHTML = '';
+    if (!takes.length) {
+        list.innerHTML = '<li class="hint">No takes yet.</li>';
+        return;
+    }
+    takes.forEach(take => {
+        const li = document.createElement('li');
+        li.className = 'take';
+        // Names can come from imported presets, so they only ever go in as text
+        const name = document.createElement('span');
+        name.className = 'take-name';
+        name.textContent = take.name;
+        const time = document.createElement('span');
+        time.className = 'take-time';
+        time.textContent = formatDuration(take.duration);
+        li.append(name, time);
+
+        const actions = [['play', auditionTakeId === take.id ? 'Stop' : 'Play'], ['wav', 'WAV']];
+        if (take.midi.length) actions.push(['midi', 'MIDI']);
+        actions.push(['discard', 'Discard']);
+        actions.forEach(([action, label]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.addEventListener('click', () => handleTakeAction(take.id, action));
+            li.appendChild(btn);
+        });
+        list.appendChild(li);
+    });
+}
+
+function handleTakeAction(id, action) {
+    const take = takes.find(t => t.id === id);
+    if (!take) return;
+    if (action === 'play') {
+        auditionTake(take);
+    } else if (action === 'wav') {
+        const bitDepth = parseInt(document.getElementById('rec-format').value);
+        downloadBlob(encodeWAV(take.channels, take.sampleRate, bitDepth), `${toFileName(take.name)}.wav`);
+    } else if (action === 'midi') {
+        downloadBlob(encodeMidiFile(take.midi, take.tempo), `${toFileName(take.name)}.mid`);
+    } else if (action === 'discard') {
+        if (auditionTakeId === id) stopAudition();
+        takes = takes.filter(t => t.id !== id);
+        renderTakes();
+    }
+}
+
+// Plays straight to the destination so the take isn't coloured by the current FX/volume
+function auditionTake(take) {
+    const wasPlaying = auditionTakeId === take.id;
+    stopAudition();
+    if (wasPlaying) return;
+    initAudio();
+    const buffer = audioCtx.createBuffer(2, take.channels[0].length, take.sampleRate);
+    take.channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+    auditionSource = audioCtx.createBufferSource();
+    auditionSource.buffer = buffer;
+    auditionSource.connect(audioCtx.destination);
+    auditionSource.onended = () => {
+        if (auditionTakeId !== take.id) return;
+        auditionSource = null;
+        auditionTakeId = null;
+        renderTakes();
+    };
+    auditionSource.start();
+    auditionTakeId = take.id;
+    renderTakes();
+}
+
+function stopAudition() {
+    if (auditionSource) {
+        auditionSource.onended = null;
+        auditionSource.stop();
+        auditionSource.disconnect();
+    }
+    auditionSource = null;
+    auditionTakeId = null;
+    renderTakes();
+}
+
+function initRecorderUI() {
+    document.getElementById('rec-btn').addEventListener('click', toggleRecording);
+    document.getElementById('bounce-btn').addEventListener('click', bouncePreview);
+    document.getElementById('bounce-all-btn').addEventListener('click', bounceAllPresets);
+    renderTakes();
+}
+
+// WAV (RIFF) from planar channel data: 16/24-bit integer PCM or 32-bit float
+function encodeWAV(channels, sampleRate, bitDepth = 16) {
+    const numChannels = channels.length;
+    const length = channels[0].length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, bitDepth === 32 ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+            if (bitDepth === 32) {
+                view.setFloat32(offset, channels[ch][i], true);
+            } else if (bitDepth === 24) {
+                const v = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                view.setUint8(offset, v & 0xFF);
+                view.setUint8(offset + 1, (v >> 8) & 0xFF);
+                view.setUint8(offset + 2, (v >> 16) & 0xFF);
+            } else {
+                view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF), true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+// Standard MIDI File, format 0, from { time (s), data } events at a fixed tempo
+function encodeMidiFile(events, bpm = 120) {
+    const PPQ = 480;
+    const vlq = (value) => {
+        const bytes = [value & 0x7F];
+        while ((value >>= 7)) bytes.unshift((value & 0x7F) | 0x80);
+        return bytes;
+    };
+    const usPerBeat = Math.round(60000000 / bpm);
+    const track = [0, 0xFF, 0x51, 0x03, (usPerBeat >> 16) & 0xFF, (usPerBeat >> 8) & 0xFF, usPerBeat & 0xFF];
+    let lastTick = 0;
+    events.forEach(event => {
+        const tick = Math.max(lastTick, Math.round(event.time * (bpm / 60) * PPQ));
+        track.push(...vlq(tick - lastTick), ...event.data);
+        lastTick = tick;
+    });
+    track.push(0, 0xFF, 0x2F, 0x00); // End of track
+
+    const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, (PPQ >> 8) & 0xFF, PPQ & 0xFF];
+    const len = track.length;
+    const trackHeader = [0x4D, 0x54, 0x72, 0x6B, (len >> 24) & 0xFF, (len >> 16) & 0xFF, (len >> 8) & 0xFF, len & 0xFF];
+    return new Blob([new Uint8Array([...header, ...trackHeader, ...track])], { type: 'audio/midi' });
+}
+
+// --- Offline Rendering ---
+// Renders a patch plus timed notes ({ note, time, duration, velocity }) through the same voice and
+// FX classes on an OfflineAudioContext. Each event gets its own voice (no voice mode, stealing or
+// glide) and controllers sit at rest. Noise sources draw from a seeded generator, so the same
+// patch, events and seed always render the same samples
+
+const previewPhrase = [
+    { note: 60, time: 0, duration: 0.4, velocity: 100 },
+    { note: 64, time: 0.25, duration: 0.4, velocity: 90 },
+    { note: 67, time: 0.5, duration: 0.4, velocity: 95 },
+    { note: 72, time: 0.75, duration: 0.4, velocity: 110 },
+    { note: 48, time: 1.25, duration: 1.5, velocity: 100 },
+    { note: 60, time: 1.25, duration: 1.5, velocity: 90 },
+    { note: 64, time: 1.25, duration: 1.5, velocity: 90 },
+    { note: 67, time: 1.25, duration: 1.5, velocity: 90 }
+];
+
+// mulberry32
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Long enough for the release and any delay/reverb to die away
+function getRenderTail(patch) {
+    let tail = Math.max(patch.release, patch.f_release) + 0.2;
+    if (patch.delayOn) tail += 2;
+    if (patch.reverbOn) tail += patch.reverbSize;
+    return tail;
+}
+
+async function renderOffline(patch, events, options = {}) {
+    const { sampleRate = 48000, seed = 1 } = options;
+    const fullPatch = { ...clonePatch(defaultSettings), ...validatePatch(patch).patch };
+    const engine = { live: false, patch: fullPatch, lfoBuses: [], random: createSeededRandom(seed) };
+    const end = events.reduce((max, e) => Math.max(max, e.time + e.duration), 0);
+    const length = Math.max(1, Math.ceil((end + (options.tail ?? getRenderTail(fullPatch))) * sampleRate));
+    const ctx = new OfflineAudioContext(2, length, sampleRate);
+    await loadSyncWorklet(ctx);
+
+    const master = ctx.createGain();
+    master.gain.value = fullPatch.volume;
+    master.connect(ctx.destination);
+    const input = ctx.createGain();
+    wireFxChain(input, createFxUnits(ctx, engine), fullPatch.fxOrder, master);
+
+    for (let i = 1; i <= LFO_COUNT; i++) {
+        const bus = ctx.createGain();
+        const source = createLfoSource(ctx, i, engine);
+        source.connect(bus);
+        source.start(0);
+        engine.lfoBuses.push(bus);
+    }
+
+    events.forEach(event => {
+        const voice = new SynthVoice(ctx, input, engine);
+        voice.trigger(noteFreq(event.note), event.note, event.velocity ?? 100, event.time);
+        voice.release(event.time + event.duration);
+    });
+    return ctx.startRendering();
+}
+
+async function renderOfflineWAV(patch, events, options = {}) {
+    const buffer = await renderOffline(patch, events, options);
+    const channels = [0, 1].map(ch => buffer.getChannelData(ch));
+    return encodeWAV(channels, buffer.sampleRate, options.bitDepth ?? 16);
+}
+
+async function bounceToTake(name, patch) {
+    const buffer = await renderOffline(patch, previewPhrase);
+    const channels = [0, 1].map(ch => buffer.getChannelData(ch).slice(0));
+    addTake(name, channels, buffer.sampleRate, [], patch.arpRate ?? defaultSettings.arpRate);
+}
+
+function bouncePreview() {
+    const preset = findPreset(settings.presetId);
+    bounceToTake(`Preview - ${preset ? preset.name : 'Current'}`, getPatch()).catch(e => {
+        alert(`Could not render preview: ${e.message}`);
+    });
+}
+
+// A preset that fails to render is reported at the end; the rest still bounce
+async function bounceAllPresets() {
+    const failed = [];
+    for (const preset of getAllPresets()) {
+        try {
+            await bounceToTake(`Preview - ${preset.name}`, preset.patch);
+        } catch (e) {
+            failed.push(`${preset.name}: ${e.message}`);
+        }
+    }
+    if (failed.length) alert(`Could not render ${failed.length} preset(s):\n${failed.slice(0, 10).join('\n')}`);
+}
+
+// --- MIDI File Player ---
+// Standard MIDI Files (format 0/1) are flattened to one tick-sorted list; times come from the
+// tempo map (or a fixed override BPM) and events are queued on the lookahead scheduler
+
+let midiFile = null; // { name, division, beatsPerBar, tracks, tempoMap, lengthTicks }
+let midiFileEvents = []; // { tick, time, status, data1, data2 } for the selected track/channel
+let midiFilePlaying = false;
+let midiFilePos = 0; // Next event to queue
+let midiFileOffset = 0; // Audio time of song time 0 (shifted on every loop)
+let midiFileEndQueued = false;
+const midiFileSounding = new Set(); // Notes the player has on
+const midiFileControllers = new Set(); // Performance controls the player has moved, reset on stop
+// Bank select, data entry, (N)RPN and channel mode messages: never patch edits
+const MIDI_FILE_UNMAPPED_CCS = new Set([0, 6, 32, 38, 96, 97, 98, 99, 100, 101, 120, 121, 122, 123, 124, 125, 126, 127]);
+let midiFileTimer = null;
+
+function parseMidiFile(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let pos = 0;
+    const readString = (len) => String.fromCharCode(...bytes.slice(pos, pos += len));
+    const read32 = () => ((bytes[pos++] << 24) | (bytes[pos++] << 16) | (bytes[pos++] << 8) | bytes[pos++]) >>> 0;
+    const read16 = () => (bytes[pos++] << 8) | bytes[pos++];
+    const readVLQ = () => {
+        let value = 0;
+        let b;
+        do {
+            b = bytes[pos++];
+            value = (value << 7) | (b & 0x7F);
+        } while (b & 0x80);
+        return value;
+    };
+
+    if (readString(4) !== 'MThd') throw new Error('Not a MIDI file');
+    const headerLength = read32();
+    const format = read16();
+    const trackCount = read16();
+    const division = read16();
+    pos = 8 + headerLength;
+    if (format > 1) throw new Error(`MIDI format ${format} is not supported`);
+    if (division & 0x8000) throw new Error('SMPTE time division is not supported');
+
+    const tracks = [];
+    const tempoMap = [];
+    let beatsPerBar = 4;
+    let lengthTicks = 0;
+
+    for (let t = 0; t < trackCount && pos < bytes.length; t++) {
+        if (readString(4) !== 'MTrk') throw new Error('Corrupt track header');
+        const end = read32() + pos;
+        const track = { name: `Track ${t + 1}`, events: [], channels: new Set() };
+        let tick = 0;
+        let runningStatus = 0;
+
+        while (pos < end) {
+            tick += readVLQ();
+            let status = bytes[pos];
+            if (status & 0x80) pos++;
+            else status = runningStatus; // Running status: reuse the previous status byte
+
+            if (status === 0xFF) {
+                const type = bytes[pos++];
+                const len = readVLQ();
+                const data = bytes.slice(pos, pos + len);
+                pos += len;
+                if (type === 0x51) tempoMap.push({ tick, usPerBeat: (data[0] << 16) | (data[1] << 8) | data[2] });
+                if (type === 0x03 && len) track.name = String.fromCharCode(...data);
+                if (type === 0x58 && tick === 0) beatsPerBar = data[0] * 4 / Math.pow(2, data[1]);
+            } else if (status === 0xF0 || status === 0xF7) {
+                pos += readVLQ(); // SysEx is skipped
+            } else {
+                runningStatus = status;
+                const command = status & 0xF0;
+                const data1 = bytes[pos++];
+                const data2 = command === 0xC0 || command === 0xD0 ? 0 : bytes[pos++];
+                track.events.push({ tick, status, data1, data2 });
+                track.channels.add(status & 0x0F);
+            }
+        }
+        pos = end;
+        lengthTicks = Math.max(lengthTicks, tick);
+        tracks.push(track);
+    }
+
+    tempoMap.sort((a, b) => a.tick - b.tick);
+    if (!tempoMap.length || tempoMap[0].tick > 0) tempoMap.unshift({ tick: 0, usPerBeat: 500000 });
+    return { division, beatsPerBar, tracks, tempoMap, lengthTicks };
+}
+
+// Tempo segments as { tick, time, secPerTick }, honouring the override BPM when set
+function getTempoSegments() {
+    const override = parseFloat(document.getElementById('midifile-tempo').value);
+    if (override > 0) return [{ tick: 0, time: 0, secPerTick: 60 / override / midiFile.division }];
+    const segments = [];
+    let time = 0;
+    midiFile.tempoMap.forEach((entry, i) => {
+        if (i > 0) {
+            const prev = segments[segments.length - 1];
+            time = prev.time + (entry.tick - prev.tick) * prev.secPerTick;
+        }
+        segments.push({ tick: entry.tick, time, secPerTick: entry.usPerBeat / 1e6 / midiFile.division });
+    });
+    return segments;
+}
+
+function ticksToSeconds(tick, segments) {
+    let seg = segments[0];
+    for (const s of segments) if (s.tick <= tick) seg = s;
+    return seg.time + (tick - seg.tick) * seg.secPerTick;
+}
+
+function secondsToTicks(time, segments) {
+    let seg = segments[0];
+    for (const s of segments) if (s.time <= time) seg = s;
+    return seg.tick + (time - seg.time) / seg.secPerTick;
+}
+
+// Rebuilds the event list for the current track/channel/tempo choice, keeping the song position
+function buildMidiFileEvents() {
+    if (!midiFile) return;
+    const playing = midiFilePlaying && audioCtx;
+    const oldSegments = midiFile.segments;
+    const currentTick = playing ? secondsToTicks(audioCtx.currentTime - midiFileOffset, oldSegments) : 0;
+
+    const trackSel = document.getElementById('midifile-track').value;
+    const channelSel = parseInt(document.getElementById('midifile-channel').value);
+    const segments = getTempoSegments();
+    midiFile.segments = segments;
+    midiFileEvents = midiFile.tracks
+        .filter((track, i) => trackSel === 'all' || parseInt(trackSel) === i)
+        .flatMap(track => track.events)
+        .filter(e => channelSel === -1 || (e.status & 0x0F) === channelSel)
+        .sort((a, b) => a.tick - b.tick)
+        .map(e => ({ ...e, time: ticksToSeconds(e.tick, segments) }));
+
+    if (playing) {
+        releaseMidiFileNotes(audioCtx.currentTime);
+        clearEvents('midifile');
+        locateMidiFile(ticksToSeconds(currentTick, segments), audioCtx.currentTime);
+    }
+}
+
+function getLoopRegion() {
+    if (!document.getElementById('midifile-loop').checked) return null;
+    const barTicks = midiFile.division * midiFile.beatsPerBar;
+    const startBar = Math.max(1, parseInt(document.getElementById('midifile-loop-start').value) || 1);
+    const endBar = Math.max(startBar + 1, parseInt(document.getElementById('midifile-loop-end').value) || startBar + 1);
+    return {
+        start: ticksToSeconds((startBar - 1) * barTicks, midiFile.segments),
+        end: ticksToSeconds((endBar - 1) * barTicks, midiFile.segments)
+    };
+}
+
+// Makes `songTime` play at audio time `at`
+function locateMidiFile(songTime, at) {
+    midiFileOffset = at - songTime;
+    midiFilePos = midiFileEvents.findIndex(e => e.time >= songTime);
+    if (midiFilePos === -1) midiFilePos = midiFileEvents.length;
+    midiFileEndQueued = false;
+}
+
+function playMidiFile() {
+    if (!midiFile || midiFilePlaying) return;
+    initAudio();
+    const loop = getLoopRegion();
+    locateMidiFile(loop ? loop.start : 0, audioCtx.currentTime + 0.05);
+    midiFilePlaying = true;
+    startScheduler();
+    updateMidiFileUI();
+}
+
+function stopMidiFile() {
+    midiFilePlaying = false;
+    clearEvents('midifile');
+    if (audioCtx) releaseMidiFileNotes(audioCtx.currentTime);
+    // Reset what the file moved, leaving the live controller state alone
+    if (midiFileControllers.has('sustain')) setSustainPedal(false);
+    if (midiFileControllers.has('sostenuto')) setSostenutoPedal(false);
+    if (midiFileControllers.has('bend')) pitchBend = 0;
+    if (midiFileControllers.has('modWheel')) modWheel = 0;
+    if (midiFileControllers.has('pressure')) channelPressure = 0;
+    if (midiFileControllers.has('polyPressure')) polyPressure.clear();
+    if (midiFileControllers.size) updatePerformanceControls();
+    midiFileControllers.clear();
+    updateMidiFileUI();
+}
+
+function releaseMidiFileNotes(time) {
+    midiFileSounding.forEach(note => noteOff(note, time));
+    midiFileSounding.clear();
+}
+
+function scheduleMidiFile(horizon) {
+    if (!midiFilePlaying) return;
+    const loop = getLoopRegion();
+    while (true) {
+        const songHorizon = horizon - midiFileOffset;
+        const limit = loop ? Math.min(songHorizon, loop.end) : songHorizon;
+        const event = midiFileEvents[midiFilePos];
+
+        if (event && event.time < limit) {
+            scheduleEvent(midiFileOffset + event.time, t => playMidiFileEvent(event, t), 'midifile');
+            midiFilePos++;
+        } else if (loop && songHorizon >= loop.end) {
+            const wrapAt = midiFileOffset + loop.end;
+            scheduleEvent(wrapAt, t => releaseMidiFileNotes(t), 'midifile');
+            locateMidiFile(loop.start, wrapAt);
+        } else {
+            if (!event && !loop && !midiFileEndQueued) {
+                midiFileEndQueued = true;
+                const last = midiFileEvents.length ? midiFileEvents[midiFileEvents.length - 1].time : 0;
+                scheduleEvent(midiFileOffset + last + 0.01, () => stopMidiFile(), 'midifile');
+            }
+            break;
+        }
+    }
+}
+
+function playMidiFileEvent(event, time) {
+    const command = event.status & 0xF0;
+    if (command === 0x90 && event.data2 > 0) midiFileSounding.add(event.data1);
+    else if (command === 0x80 || command === 0x90) midiFileSounding.delete(event.data1);
+    else if (command === 0xE0) midiFileControllers.add('bend');
+    else if (command === 0xD0) midiFileControllers.add('pressure');
+    else if (command === 0xA0) midiFileControllers.add('polyPressure');
+    else if (command === 0xB0) {
+        const controller = { 1: 'modWheel', 64: 'sustain', 66: 'sostenuto' }[event.data1];
+        if (controller) midiFileControllers.add(controller);
+    }
+    handleChannelMessage(command, event.data1, event.data2, time);
+    // Other CCs only edit the patch through the MIDI map when asked to
+    if (command === 0xB0 && document.getElementById('midifile-map-cc').checked
+        && !MIDI_FILE_UNMAPPED_CCS.has(event.data1) && !PERFORMANCE_CCS.has(event.data1)) {
+        mapCC(event.data1, event.data2);
+    }
+}
+
+function loadMidiFile(file) {
+    file.arrayBuffer().then(buffer => {
+        stopMidiFile();
+        midiFile = parseMidiFile(buffer);
+        midiFile.name = file.name;
+        renderMidiFileOptions();
+        buildMidiFileEvents();
+        updateMidiFileUI();
+    }).catch(e => {
+        alert(`Could not load MIDI file: ${e.message}`);
+    });
+}
+
+function renderMidiFileOptions() {
+    const trackSel = document.getElementById('midifile-track');
+    trackSel.innerHTML = '<option value="all">All Tracks</option>';
+    midiFile.tracks.forEach((track, i) => {
+        const notes = track.events.filter(e => (e.status & 0xF0) === 0x90).length;
+        if (!track.events.length) return; // Conductor / meta-only tracks
+        trackSel.add(new Option(`${track.name} (${notes} notes)`, i));
+    });
+
+    const channels = new Set(midiFile.tracks.flatMap(track => [...track.channels]));
+    const channelSel = document.getElementById('midifile-channel');
+    channelSel.innerHTML = '<option value="-1">All Channels</option>';
+    [...channels].sort((a, b) => a - b).forEach(ch => channelSel.add(new Option(`Ch ${ch + 1}`, ch)));
+
+    const bars = Math.ceil(midiFile.lengthTicks / (midiFile.division * midiFile.beatsPerBar));
+    document.getElementById('midifile-loop-start').value = 1;
+    document.getElementById('midifile-loop-end').value = bars + 1;
+}
+
+function updateMidiFileUI() {
+    const status = document.getElementById('midifile-status');
+    document.getElementById('midifile-play-btn').textContent = midiFilePlaying ? 'Stop' : 'Play';
+    clearInterval(midiFileTimer);
+    if (!midiFile) {
+        status.textContent = 'No file loaded';
+        return;
+    }
+    const total = midiFileEvents.length ? midiFileEvents[midiFileEvents.length - 1].time : 0;
+    const render = () => {
+        const now = midiFilePlaying ? Math.max(0, audioCtx.currentTime - midiFileOffset) : 0;
+        status.textContent = `${midiFile.name} - ${formatDuration(Math.min(now, total))} / ${formatDuration(total)}`;
+    };
+    render();
+    if (midiFilePlaying) midiFileTimer = setInterval(render, 200);
+}
+
+function initMidiFileUI() {
+    const input = document.getElementById('midifile-input');
+    document.getElementById('midifile-load-btn').addEventListener('click', () => input.click());
+    input.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadMidiFile(file);
+        e.target.value = '';
+    });
+    document.getElementById('midifile-play-btn').addEventListener('click', () => {
+        if (midiFilePlaying) stopMidiFile();
+        else playMidiFile();
+    });
+    ['midifile-track', 'midifile-channel', 'midifile-tempo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            buildMidiFileEvents();
+            updateMidiFileUI();
+        });
+    });
+    updateMidiFileUI();
+}
+
+// --- Play Button ---
+
+function startNoteSequence() {
+    initAudio();
+    if (isPlaying) return;
+    isPlaying = true;
+    document.getElementById('play-btn').classList.add('active');
+    playButtonNotes = settings.arpEnabled ? playButtonChord : [60]; // C4
+    playButtonNotes.forEach(n => noteOn(n, 127));
+}
+
+function stopNoteSequence() {
+    if (!isPlaying) return;
+    isPlaying = false;
+    document.getElementById('play-btn').classList.remove('active');
+    playButtonNotes.forEach(n => noteOff(n));
+    playButtonNotes = [];
+}
+
+let playButtonNotes = [];
+
+// --- Arpeggiator ---
+
+let arpActive = false; // Keys are routed to the arp
+let arpNotes = []; // Notes being arpeggiated, in the order they were played
+const arpKeysDown = new Set(); // Subset of arpNotes still held (used by latch)
+const arpVelocities = new Map();
+let arpStep = 0;
+let arpRunning = false; // Internal clock is stepping the arp
+let nextArpStepTime = 0;
+let arpSounding = []; // Notes currently sounding from the arp
+
+function arpNoteOn(noteNum, velocity) {
+    // With latch, a new chord after all keys were lifted replaces the latched one
+    if (settings.arpLatch && arpKeysDown.size === 0) {
+        arpNotes = [];
+        arpVelocities.clear();
+    }
+    arpKeysDown.add(noteNum);
+    arpVelocities.set(noteNum, velocity);
+    if (!arpNotes.includes(noteNum)) arpNotes.push(noteNum);
+    if (arpNotes.length === 1) startArp();
+}
+
+function arpNoteOff(noteNum) {
+    arpKeysDown.delete(noteNum);
+    if (settings.arpLatch) return;
+    arpNotes = arpNotes.filter(n => n !== noteNum);
+    arpVelocities.delete(noteNum);
+    if (!arpNotes.length) stopArp();
+}
+
+function startArp() {
+    initAudio();
+    clearEvents('arp');
+    arpStep = 0;
+    // With clock sync the steps come from handleMidiClock()
+    arpRunning = !midiClockSync;
+    if (!arpRunning) return;
+    nextArpStepTime = audioCtx.currentTime + 0.005;
+    startScheduler();
+}
+
+function stopArp() {
+    arpRunning = false;
+    clearEvents('arp');
+    releaseArpNotes();
+}
+
+// Called by the scheduler: queue every internal-clock step that falls inside the lookahead window
+function scheduleArp(horizon) {
+    if (!arpRunning) return;
+    while (nextArpStepTime < horizon) {
+        const duration = getArpStepDuration(arpStep);
+        const step = arpStep;
+        scheduleEvent(nextArpStepTime, t => playArpStep(t, duration, step), 'arp');
+        nextArpStepTime += duration;
+        arpStep++;
+    }
+}
+
+// Seconds for the given step, with swing lengthening even steps and shortening odd ones
+function getArpStepDuration(step) {
+    const base = (60 / settings.arpRate) * arpDivisions[settings.arpDivision];
+    return base * (step % 2 === 0 ? 1 + settings.arpSwing : 1 - settings.arpSwing);
+}
+
+function getArpSequence() {
+    const base = settings.arpMode === 'played' ? [...arpNotes] : [...arpNotes].sort((a, b) => a - b);
+    const notes = [];
+    for (let oct = 0; oct < settings.arpOctaves; oct++) {
+        base.forEach(n => {
+            if (n + oct * 12 <= 127) notes.push(n + oct * 12);
+        });
+    }
+    if (settings.arpMode === 'down') return notes.reverse();
+    if (settings.arpMode === 'updown') return notes.concat(notes.slice(1, -1).reverse());
+    return notes;
+}
+
+function playArpStep(time, duration, step) {
+    releaseArpNotes(time);
+    if (!arpNotes.length) return;
+
+    let notes;
+    if (settings.arpMode === 'chord') {
+        const oct = (step % settings.arpOctaves) * 12;
+        notes = arpNotes.map(n => n + oct).filter(n => n <= 127);
+    } else {
+        const sequence = getArpSequence();
+        const index = settings.arpMode === 'random'
+            ? Math.floor(Math.random() * sequence.length)
+            : step % sequence.length;
+        notes = [sequence[index]];
+    }
+
+    notes.forEach(n => {
+        const root = arpNotes.find(a => (n - a) % 12 === 0 && n >= a);
+        startVoice(n, arpVelocities.get(root) ?? 100, time);
+    });
+    arpSounding = notes;
+
+    if (settings.arpGate < 1) {
+        scheduleEvent(time + duration * settings.arpGate, t => {
+            notes.forEach(n => {
+                if (arpSounding.includes(n)) stopVoice(n, t);
+            });
+            arpSounding = arpSounding.filter(n => !notes.includes(n));
+        }, 'arp');
+    }
+}
+
+function releaseArpNotes(time) {
+    arpSounding.forEach(n => stopVoice(n, time));
+    arpSounding = [];
+}
+
+function handleArpChange(param) {
+    if (param === 'arpRate') handleTempoChange();
+    if (settings.arpEnabled && !arpActive) {
+        // Hand the keys that are already sounding over to the arp
+        arpActive = true;
+        [...heldKeys, ...sustainedNotes].forEach(n => {
+            const voice = activeVoices.get(n);
+            stopVoice(n);
+            if (heldKeys.has(n)) arpKeysDown.add(n);
+            if (!arpNotes.includes(n)) arpNotes.push(n);
+            arpVelocities.set(n, voice ? voice.velocity : 100);
+        });
+        if (arpNotes.length) startArp();
+    } else if (!settings.arpEnabled && arpActive) {
+        arpActive = false;
+        stopArp();
+        const notes = [...heldKeys, ...sustainedNotes];
+        notes.forEach(n => startVoice(n, arpVelocities.get(n) ?? 100));
+        arpNotes = [];
+        arpKeysDown.clear();
+        arpVelocities.clear();
+    } else if (param === 'arpLatch' && !settings.arpLatch) {
+        arpNotes = arpNotes.filter(n => arpKeysDown.has(n) || sustainedNotes.has(n));
+        if (!arpNotes.length) stopArp();
+    }
+}
+
+function updateAudioParams(param, value) {
+    if (param === 'volume' && masterGainNode) {
+        masterGainNode.gain.setTargetAtTime(value, audioCtx.currentTime, 0.01);
+    }
+    if (param === 'voiceMode') handleVoiceModeChange();
+    if (param === 'abMorph') applyMorph(value);
+    if (envDisplays.some(display => display.params.includes(param))) drawEnvelopeDisplays();
+    if (/^lfo\d_/.test(param)) handleLfoChange(param);
+    if (fxUnits) Object.values(fxUnits).forEach(fx => fx.update(param));
+    activeVoices.forEach(voice => {
+        voice.updateParams(param, value);
+    });
+}
+
+// --- Helpers ---
+
+function loadSettings() {
+    const saved = localStorage.getItem('synthSettings');
+    if (saved) {
+        try {
+            const parsed = JSON.parse(saved);
+            // Builds before versioning stored the bare settings object
+            const stored = parsed.version ? parsed.settings : parsed;
+            const globals = {};
+            globalSettingKeys.forEach(key => {
+                if (stored[key] !== undefined) globals[key] = stored[key];
+            });
+            const { patch } = validatePatch(migratePatch(stored, parsed.version || 1));
+            settings = clonePatch({ ...defaultSettings, ...patch, ...globals });
+            
+            // Restore Globals
+            if (settings.midiDevice) selectedMidiDevice = settings.midiDevice;
+            if (settings.midiCCDevice) selectedMidiCCDevice = settings.midiCCDevice;
+            if (settings.midiChannel !== undefined) selectedMidiChannel = parseInt(settings.midiChannel);
+            midiClockSync = !!settings.midiClockSync;
+            settings.midiMappings = sanitizeMidiMappings(settings.midiMappings);
+            
+        } catch (e) { settings = clonePatch(defaultSettings); }
+    }
+}
+
+function saveSettings() {
+    // Sync globals to settings before save
+    settings.midiDevice = selectedMidiDevice;
+    settings.midiCCDevice = selectedMidiCCDevice;
+    settings.midiChannel = selectedMidiChannel;
+    settings.midiClockSync = midiClockSync;
+    
+    localStorage.setItem('synthSettings', JSON.stringify({ version: PATCH_VERSION, settings }));
+    if (!historyHold) recordHistory();
+}
+
+function initUI() {
+    document.querySelectorAll('.dial').forEach(dial => {
+        const param = dial.dataset.param;
+        if (param) {
+            uiElements[param] = dial;
+            updateDialVisual(dial, settings[param]);
+        }
+    });
+    document.querySelectorAll('input, select').forEach(el => {
+        const param = el.dataset.param;
+        if (param) {
+            uiElements[param] = el;
+            if (el.type === 'checkbox') el.checked = settings[param];
+            else el.value = settings[param];
+            updateValueDisplay(param, settings[param]);
+        }
+    });
+}
+
+function updateValueDisplay(param, value) {
+    let displayValue = value;
+    let elId = `disp-${param}`;
+    
+    if (param.includes('Freq')) displayValue = `${Math.round(value)} Hz`;
+    else if (param === 'arpRate') displayValue = `${value} BPM`;
+    else if (paramMap[param] && paramMap[param].labels) displayValue = paramMap[param].labels[value];
+    
+    if (paramMap[param] && paramMap[param].type === 'dial') {
+        const dial = uiElements[param];
+        if (dial) {
+            const valEl = dial.querySelector('.dial-value');
+            if (valEl) valEl.textContent = displayValue;
+        }
+    } else {
+        const dispEl = document.getElementById(elId);
+        if (dispEl) dispEl.textContent = displayValue;
+    }
+}
+
+let activeDial = null;
+let startY = 0;
+let startVal = 0;
+
+function handleDialStart(e) {
+    activeDial = e.currentTarget;
+    startY = e.clientY;
+    startVal = parseFloat(settings[activeDial.dataset.param]);
+    document.addEventListener('mousemove', handleDialMove);
+    document.addEventListener('mouseup', handleDialEnd);
+    e.preventDefault();
+}
+
+function handleDialMove(e) {
+    if (!activeDial) return;
+    const param = activeDial.dataset.param;
+    const conf = paramMap[param];
+    const deltaY = startY - e.clientY;
+    const range = conf.max - conf.min;
+    let newVal = startVal + (deltaY / 200) * range;
+    newVal = Math.max(conf.min, Math.min(conf.max, newVal));
+    if (conf.step) newVal = Math.round(newVal / conf.step) * conf.step;
+    
+    settings[param] = newVal;
+    updateDialVisual(activeDial, newVal);
+    updateValueDisplay(param, newVal);
+    updateAudioParams(param, newVal);
+}
+
+function handleDialEnd() {
+    if (activeDial) saveSettings();
+    activeDial = null;
+    document.removeEventListener('mousemove', handleDialMove);
+    document.removeEventListener('mouseup', handleDialEnd);
+}
+
+function updateDialVisual(dial, value) {
+    const min = parseFloat(dial.dataset.min);
+    const max = parseFloat(dial.dataset.max);
+    const pct = (value - min) / (max - min);
+    const angle = -135 + (pct * 270);
+    const knob = dial.querySelector('.dial-knob');
+    if (knob) knob.style.transform = `rotate(${angle}deg)`;
+}
+
+// --- Randomizer ---
+// Randomize replaces, or with Mutate nudges, every param that isn't locked. Ranges start from
+// paramMap, narrowed by base rules that keep results playable and then by the chosen template.
+// Rule specs are { min, max } for numbers or { options } (repeat an option to weight it)
+
+// Each param belongs to the first section it matches; params in no section are never touched
+const randomizeSections = [
+    { id: 'osc', label: 'Oscillators', match: /^osc\d_(waveform|octave|semi|detune|pan|gain|pw|wtPos)$/ },
+    { id: 'crossmod', label: 'Cross Mod', match: /^(osc\d_(fm|ring|sync)|fm[A-Z])/ },
+    { id: 'filter', label: 'Filter', match: /^filter/ },
+    { id: 'filterEnv', label: 'Filter Env', match: /^f_/ },
+    { id: 'ampEnv', label: 'Amp Env', match: /^(attack|decay|sustain|release|amp[A-Z]|envRetrigger)/ },
+    { id: 'lfo', label: 'LFOs & Tremolo', match: /^(lfo\d_|trem)/ },
+    { id: 'mod', label: 'Mod Matrix', match: /^mod\d_/ },
+    { id: 'fx', label: 'FX', match: /^(drive|chorus|delay|reverb)/ },
+    { id: 'voice', label: 'Voice & Unison', match: /^(voiceMode|notePriority|glide|unison|stealMode)/ },
+    { id: 'perf', label: 'Velocity & Controllers', match: /^(vel|bendRange|vib|mod[A-Z]|at[A-Z])/ },
+    { id: 'arp', label: 'Arp & Sequencer', match: /^(arp|seq)/ },
+    { id: 'master', label: 'Master', match: /^(pan|volume)$/ }
+];
+const randomizeExcluded = ['volume', 'polyphony', 'arpEnabled', 'arpLatch'];
+
+const randomizeBaseRules = [
+    [/^osc1_gain$/, { min: 0.3, max: 1 }],
+    [/^osc[23]_gain$/, { min: 0, max: 0.8 }],
+    [/^osc\d_waveform$/, { options: [0, 1, 2, 2, 3, 4, 5, 7] }],
+    [/^osc\d_detune$/, { min: -25, max: 25 }],
+    [/^osc\d_fmAmt$/, { min: 0, max: 4 }],
+    [/^filterType$/, { options: ['lowpass', 'lowpass', 'lowpass', 'highpass', 'bandpass', 'notch', 'bandreject'] }],
+    [/^filter2?Q$/, { min: 0.5, max: 10 }],
+    [/^(attack|f_attack)$/, { min: 0, max: 1 }],
+    [/^(release|f_release)$/, { min: 0.05, max: 2 }],
+    [/^(amp|f_)(Delay|delay|Hold|hold)$/, { min: 0, max: 0.3 }],
+    [/^(ampLoop|f_loop)$/, { options: [false] }],
+    [/^mod\d_amt$/, { min: -0.5, max: 0.5 }],
+    [/^(delay|chorus)Feedback$/, { min: 0, max: 0.7 }],
+    [/^reverbSize$/, { min: 0.5, max: 5 }],
+    [/^bendRange$/, { min: 1, max: 12 }]
+];
+
+const randomizeTemplates = {
+    bass: {
+        label: 'Bass',
+        rules: [
+            [/^osc\d_octave$/, { min: -2, max: 0 }],
+            [/^osc\d_waveform$/, { options: [0, 1, 2, 4] }],
+            [/^filterType$/, { options: ['lowpass'] }],
+            [/^filterFreq$/, { min: 80, max: 1500 }],
+            [/^attack$/, { min: 0, max: 0.02 }],
+            [/^decay$/, { min: 0.1, max: 0.8 }],
+            [/^sustain$/, { min: 0.4, max: 1 }],
+            [/^release$/, { min: 0.05, max: 0.4 }],
+            [/^voiceMode$/, { options: ['mono', 'legato'] }],
+            [/^unisonVoices$/, { min: 1, max: 2 }],
+            [/^(reverb|chorus|delay)On$/, { options: [false] }]
+        ]
+    },
+    pad: {
+        label: 'Pad',
+        rules: [
+            [/^osc\d_octave$/, { min: -1, max: 1 }],
+            [/^osc\d_waveform$/, { options: [0, 2, 3, 4, 7] }],
+            [/^filterFreq$/, { min: 300, max: 6000 }],
+            [/^(attack|f_attack)$/, { min: 0.4, max: 2 }],
+            [/^decay$/, { min: 0.5, max: 2 }],
+            [/^sustain$/, { min: 0.5, max: 1 }],
+            [/^release$/, { min: 1, max: 3 }],
+            [/^voiceMode$/, { options: ['poly'] }],
+            [/^unisonVoices$/, { min: 2, max: 6 }],
+            [/^(reverb|chorus)On$/, { options: [true] }]
+        ]
+    },
+    lead: {
+        label: 'Lead',
+        rules: [
+            [/^osc\d_octave$/, { min: -1, max: 1 }],
+            [/^osc\d_waveform$/, { options: [1, 2, 4] }],
+            [/^filterFreq$/, { min: 800, max: 8000 }],
+            [/^attack$/, { min: 0, max: 0.05 }],
+            [/^sustain$/, { min: 0.6, max: 1 }],
+            [/^release$/, { min: 0.05, max: 0.5 }],
+            [/^voiceMode$/, { options: ['mono', 'legato'] }],
+            [/^glideTime$/, { min: 0, max: 0.2 }],
+            [/^delayOn$/, { options: [true] }]
+        ]
+    },
+    pluck: {
+        label: 'Pluck',
+        rules: [
+            [/^(attack|f_attack)$/, { min: 0, max: 0.01 }],
+            [/^decay$/, { min: 0.1, max: 0.6 }],
+            [/^f_decay$/, { min: 0.05, max: 0.4 }],
+            [/^(sustain|f_sustain)$/, { min: 0, max: 0.15 }],
+            [/^release$/, { min: 0.1, max: 0.5 }],
+            [/^filterType$/, { options: ['lowpass'] }],
+            [/^filterFreq$/, { min: 200, max: 2000 }],
+            [/^filterEnvAmt$/, { min: 1000, max: 5000 }],
+            [/^voiceMode$/, { options: ['poly'] }]
+        ]
+    }
+};
+
+let randomizer = { mode: 'random', amount: 0.2, template: '', sectionLocks: ['arp'], paramLocks: [] };
+
+function loadRandomizerPrefs() {
+    const saved = localStorage.getItem('synthRandomizer');
+    if (!saved) return;
+    try {
+        randomizer = { ...randomizer, ...JSON.parse(saved) };
+    } catch (e) { /* keep defaults */ }
+}
+
+function saveRandomizerPrefs() {
+    localStorage.setItem('synthRandomizer', JSON.stringify(randomizer));
+}
+
+function getRandomizeSection(key) {
+    return randomizeSections.find(section => section.match.test(key));
+}
+
+function isRandomizable(key) {
+    if (globalSettingKeys.includes(key) || randomizeExcluded.includes(key)) return false;
+    if (randomizer.paramLocks.includes(key)) return false;
+    const section = getRandomizeSection(key);
+    return Boolean(section) && !randomizer.sectionLocks.includes(section.id);
+}
+
+// Allowed values for `key`: paramMap, then the base rules, then the template (last match wins)
+function getRandomRange(key) {
+    const conf = paramMap[key];
+    let range;
+    if (conf.type === 'select') range = { options: conf.options };
+    else if (conf.type === 'checkbox') range = { options: [false, true] };
+    else if (conf.labels) range = { options: conf.labels.map((label, i) => i) };
+    else range = { min: conf.min, max: conf.max };
+
+    const template = randomizeTemplates[randomizer.template];
+    [randomizeBaseRules, template ? template.rules : []].forEach(rules => {
+        rules.forEach(([match, spec]) => {
+            if (match.test(key)) range = spec.options ? { options: spec.options } : { min: spec.min, max: spec.max };
+        });
+    });
+    if (!range.options) {
+        range.min = Math.max(conf.min, range.min);
+        range.max = Math.min(conf.max, range.max);
+        // Frequencies are spread evenly in pitch rather than in Hz
+        range.log = /Freq$/.test(key) && range.min > 0;
+    }
+    return range;
+}
+
+function randomValue(conf, range) {
+    if (range.options) return range.options[Math.floor(Math.random() * range.options.length)];
+    const value = range.log
+        ? range.min * Math.pow(range.max / range.min, Math.random())
+        : range.min + Math.random() * (range.max - range.min);
+    return conf.step ? snapToStep(value, conf.step) : value;
+}
+
+// Moves a number by up to `amount` of its full range (in pitch for frequencies) and keeps it inside
+// the allowed range; a discrete param is re-picked with probability `amount`
+function mutateValue(conf, range, current, amount) {
+    if (range.options) return Math.random() < amount ? randomValue(conf, range) : current;
+    const nudge = (Math.random() * 2 - 1) * amount;
+    let value = range.log
+        ? current * Math.pow(conf.max / conf.min, nudge)
+        : current + nudge * (conf.max - conf.min);
+    value = Math.max(range.min, Math.min(range.max, value));
+    return conf.step ? snapToStep(value, conf.step) : value;
+}
+
+// Goes through applyPatch so sounding voices, LFOs and FX pick up the new values too
+function randomizeSettings() {
+    const patch = getPatch();
+    Object.keys(paramMap).forEach(key => {
+        if (!isRandomizable(key)) return;
+        const conf = paramMap[key];
+        const range = getRandomRange(key);
+        patch[key] = randomizer.mode === 'mutate'
+            ? mutateValue(conf, range, patch[key], randomizer.amount)
+            : randomValue(conf, range);
+    });
+    applyPatch(patch);
+    saveSettings();
+}
+
+function toggleParamLock(param) {
+    const locks = randomizer.paramLocks;
+    randomizer.paramLocks = locks.includes(param) ? locks.filter(p => p !== param) : [...locks, param];
+    saveRandomizerPrefs();
+    renderParamLocks();
+}
+
+function renderParamLocks() {
+    document.querySelectorAll('[data-param]').forEach(el => {
+        el.classList.toggle('locked', randomizer.paramLocks.includes(el.dataset.param));
+    });
+}
+
+function renderSectionLocks() {
+    const container = document.getElementById('rand-sections');
+    container.innerHTML = '';
+    randomizeSections.forEach(section => {
+        const label = document.createElement('label');
+        label.className = 'toggle-label';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = randomizer.sectionLocks.includes(section.id);
+        box.addEventListener('change', () => {
+            randomizer.sectionLocks = box.checked
+                ? [...randomizer.sectionLocks, section.id]
+                : randomizer.sectionLocks.filter(id => id !== section.id);
+            saveRandomizerPrefs();
+        });
+        label.append(box, ` ${section.label}`);
+        container.appendChild(label);
+    });
+}
+
+function updateRandomizerUI() {
+    document.getElementById('rand-mode').value = randomizer.mode;
+    document.getElementById('rand-amount').value = Math.round(randomizer.amount * 100);
+    document.getElementById('rand-amount-display').textContent = `${Math.round(randomizer.amount * 100)}%`;
+    document.getElementById('rand-amount').disabled = randomizer.mode !== 'mutate';
+    document.getElementById('rand-template').value = randomizer.template;
+}
+
+function initRandomizerUI() {
+    const templateSelect = document.getElementById('rand-template');
+    Object.entries(randomizeTemplates).forEach(([id, template]) => {
+        templateSelect.add(new Option(template.label, id));
+    });
+    document.getElementById('rand-mode').addEventListener('change', (e) => {
+        randomizer.mode = e.target.value;
+        saveRandomizerPrefs();
+        updateRandomizerUI();
+    });
+    document.getElementById('rand-amount').addEventListener('input', (e) => {
+        randomizer.amount = parseInt(e.target.value) / 100;
+        saveRandomizerPrefs();
+        updateRandomizerUI();
+    });
+    templateSelect.addEventListener('change', (e) => {
+        randomizer.template = e.target.value;
+        saveRandomizerPrefs();
+    });
+    document.getElementById('rand-go-btn').addEventListener('click', randomizeSettings);
+    document.getElementById('rand-clear-locks-btn').addEventListener('click', () => {
+        randomizer.paramLocks = [];
+        randomizer.sectionLocks = [];
+        saveRandomizerPrefs();
+        renderParamLocks();
+        renderSectionLocks();
+    });
+
+    // Alt+click locks a single control; capture phase so the control itself never sees the click
+    const pickLock = (e) => {
+        if (!e.altKey || midiLearnActive) return;
+        const el = e.target.closest('[data-param]');
+        if (!el || !paramMap[el.dataset.param]) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.type === 'mousedown') toggleParamLock(el.dataset.param);
+    };
+    document.addEventListener('mousedown', pickLock, true);
+    document.addEventListener('click', pickLock, true);
+
+    renderSectionLocks();
+    renderParamLocks();
+    updateRandomizerUI();
+}
+
+function resetSettings() {
+    loadPreset(document.getElementById('reset-preset').value);
+}
+
+// --- Undo History ---
+// Every saveSettings() that changed the patch becomes one step holding the before/after values
+// of the changed params only. Gestures that update settings continuously (dial drags, slider
+// drags, CC sweeps) save once at the end, so each is a single step
+
+let undoStack = []; // { before, after }, oldest first
+let redoStack = [];
+let historyBase = null; // Patch as of the last recorded step
+let historyHold = false; // Set while a slider drag is in progress
+
+function loadHistory() {
+    historyBase = getPatch();
+    const saved = localStorage.getItem('synthHistory');
+    if (!saved) return;
+    try {
+        const parsed = JSON.parse(saved);
+        // Steps hold raw param values, so history from another patch version is dropped, not migrated
+        if (parsed.version !== PATCH_VERSION) return;
+        undoStack = parsed.undo;
+        redoStack = parsed.redo;
+    } catch (e) {
+        undoStack = [];
+        redoStack = [];
+    }
+}
+
+function saveHistory() {
+    const data = () => JSON.stringify({ version: PATCH_VERSION, undo: undoStack, redo: redoStack });
+    try {
+        localStorage.setItem('synthHistory', data());
+    } catch (e) {
+        // Out of storage (wavetable edits are large): keep the newest half and try once more
+        undoStack = undoStack.slice(Math.floor(undoStack.length / 2));
+        redoStack = redoStack.slice(Math.floor(redoStack.length / 2));
+        try { localStorage.setItem('synthHistory', data()); } catch (e2) { localStorage.removeItem('synthHistory'); }
+    }
+}
+
+function diffPatch(from, to) {
+    const before = {};
+    const after = {};
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+        if (JSON.stringify(from[key]) === JSON.stringify(to[key])) return;
+        before[key] = from[key];
+        after[key] = to[key];
+    });
+    return Object.keys(after).length ? { before, after } : null;
+}
+
+function recordHistory() {
+    if (!historyBase) return;
+    const patch = getPatch();
+    const step = diffPatch(historyBase, patch);
+    historyBase = patch;
+    if (!step) return;
+    undoStack.push(step);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    saveHistory();
+    updateHistoryUI();
+}
+
+// Applies one side of a step on top of the current patch
+function restoreHistory(values) {
+    applyPatch({ ...getPatch(), ...clonePatch(values) });
+    historyBase = getPatch();
+    saveSettings();
+    saveHistory();
+    updateHistoryUI();
+}
+
+function undo() {
+    // Close any gesture still waiting to be saved (e.g. a CC sweep) so it is what gets undone
+    clearTimeout(ccSaveTimer);
+    historyHold = false;
+    recordHistory();
+    const step = undoStack.pop();
+    if (!step) return;
+    redoStack.push(step);
+    restoreHistory(step.before);
+}
+
+function redo() {
+    const step = redoStack.pop();
+    if (!step) return;
+    undoStack.push(step);
+    restoreHistory(step.after);
+}
+
+function updateHistoryUI() {
+    document.getElementById('undo-btn').disabled = !undoStack.length;
+    document.getElementById('redo-btn').disabled = !redoStack.length;
+}
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo. Text fields keep their own undo
+function handleHistoryKey(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+    if (e.code === 'KeyZ' && !e.shiftKey) undo();
+    else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) redo();
+    else return;
+    e.preventDefault();
+}
+
+// --- A/B Compare ---
+// Two patch slots. The live patch belongs to the active slot while the morph sits at that slot's
+// end (0 for A, 1 for B); anywhere else it is a blend and the slots are left untouched
+
+let abSlots = { a: null, b: null }; // Filled from the live patch when first needed
+let abActive = 'a';
+let abMorphPos = 0; // Morph position the live patch was produced at
+
+function loadABSlots() {
+    abMorphPos = settings.abMorph;
+    const saved = localStorage.getItem('synthAB');
+    if (!saved) return;
+    try {
+        const parsed = JSON.parse(saved);
+        ['a', 'b'].forEach(slot => {
+            if (parsed[slot]) abSlots[slot] = validatePatch(migratePatch(parsed[slot], parsed.version)).patch;
+        });
+        abActive = parsed.active === 'b' ? 'b' : 'a';
+    } catch (e) {
+        abSlots = { a: null, b: null };
+    }
+}
+
+function saveABSlots() {
+    localStorage.setItem('synthAB', JSON.stringify({ version: PATCH_VERSION, active: abActive, ...abSlots }));
+}
+
+function morphEnd(slot) {
+    return slot === 'a' ? 0 : 1;
+}
+
+// Stores the live patch into the slot it belongs to, before the live patch is replaced
+function syncABSlots() {
+    if (abMorphPos === morphEnd(abActive)) abSlots[abActive] = getPatch();
+    ['a', 'b'].forEach(slot => {
+        if (!abSlots[slot]) abSlots[slot] = getPatch();
+    });
+}
+
+// Integer params with no more values than this are counts/intervals (octave, semitones, unison
+// voices...) and switch at the midpoint; wider integer ranges (Hz, cents, BPM) still interpolate
+const MORPH_MAX_STEPS = 24;
+
+function isSteppedParam(conf) {
+    if ((conf.type !== 'dial' && conf.type !== 'range') || conf.labels) return true;
+    return conf.step >= 1 && (conf.max - conf.min) / conf.step <= MORPH_MAX_STEPS;
+}
+
+// Continuous params interpolate; stepped ones, selects, checkboxes and structured data
+// (sequencer, wavetables, FX order) switch over at the midpoint
+function morphPatches(a, b, t) {
+    const patch = clonePatch(t < 0.5 ? a : b);
+    Object.keys(paramMap).forEach(key => {
+        const conf = paramMap[key];
+        if (isSteppedParam(conf)) return;
+        if (typeof a[key] !== 'number' || typeof b[key] !== 'number') return;
+        let value = a[key] + (b[key] - a[key]) * t;
+        if (conf.step) value = snapToStep(value, conf.step);
+        patch[key] = value;
+    });
+    return patch;
+}
+
+function applyMorph(t) {
+    syncABSlots();
+    const crossed = (abMorphPos < 0.5) !== (t < 0.5);
+    abMorphPos = t;
+    const target = morphPatches(abSlots.a, abSlots.b, t);
+    if (crossed) {
+        // The switched-over params include structured data, which only the full patch path rebuilds
+        applyPatch(target);
+    } else {
+        // Per-param updates keep a CC sweep cheap: only what moved reaches the voices
+        Object.keys(paramMap).forEach(key => {
+            if (key in target && target[key] !== settings[key]) setParam(key, target[key]);
+        });
+    }
+    saveABSlots();
+}
+
+function setMorphControl(value) {
+    settings.abMorph = value;
+    abMorphPos = value;
+    if (uiElements.abMorph) updateDialVisual(uiElements.abMorph, value);
+    updateValueDisplay('abMorph', value);
+}
+
+function selectABSlot(slot) {
+    if (slot === abActive && abMorphPos === morphEnd(slot)) return;
+    syncABSlots();
+    abActive = slot;
+    setMorphControl(morphEnd(slot));
+    applyPatch(abSlots[slot]);
+    saveSettings();
+    saveABSlots();
+    updateABUI();
+}
+
+function copyABSlot() {
+    syncABSlots();
+    abSlots.b = clonePatch(abSlots.a);
+    // Both slots now hold A, so any morph position sounds like A
+    if (abMorphPos !== 0 || abActive === 'b') {
+        applyPatch(abSlots.a);
+        saveSettings();
+    }
+    saveABSlots();
+}
+
+function updateABUI() {
+    document.getElementById('ab-a-btn').classList.toggle('active', abActive === 'a');
+    document.getElementById('ab-b-btn').classList.toggle('active', abActive === 'b');
+}
+
+// --- Presets ---
+
+function loadPresets() {
+    const saved = localStorage.getItem('synthPresets');
+    if (saved) {
+        try {
+            const parsed = JSON.parse(saved);
+            const version = Array.isArray(parsed) ? 1 : parsed.version;
+            const presets = Array.isArray(parsed) ? parsed : parsed.presets;
+            userPresets = presets.map(p => ({
+                ...p,
+                patch: validatePatch(migratePatch(p.patch, version)).patch
+            }));
+        } catch (e) { userPresets = []; }
+    }
+}
+
+function savePresets() {
+    localStorage.setItem('synthPresets', JSON.stringify({ version: PATCH_VERSION, presets: userPresets }));
+}
+
+function getAllPresets() {
+    return [...factoryPresets.map(p => ({ ...p, factory: true })), ...userPresets];
+}
+
+function findPreset(id) {
+    return getAllPresets().find(p => p.id === id);
+}
+
+function getPatch() {
+    const patch = clonePatch(settings);
+    globalSettingKeys.forEach(key => delete patch[key]);
+    return patch;
+}
+
+// Patches hold nested data (e.g. sequencer patterns), so copies must be deep
+function clonePatch(patch) {
+    return JSON.parse(JSON.stringify(patch));
+}
+
+function applyPatch(patch) {
+    const globals = {};
+    globalSettingKeys.forEach(key => globals[key] = settings[key]);
+    settings = clonePatch({ ...defaultSettings, ...patch, ...globals });
+
+    initUI();
+    renderSequencer();
+    renderFxOrder();
+    connectFxChain();
+    renderWavetableEditor();
+    Object.keys(paramMap).forEach(param => {
+        if (!globalSettingKeys.includes(param)) updateAudioParams(param, settings[param]);
+    });
+    for (let i = 1; i <= 3; i++) updateAudioParams(`osc${i}_wavetable`, settings[`osc${i}_wavetable`]);
+    handleArpChange();
+}
+
+function loadPreset(id) {
+    const preset = findPreset(id);
+    if (!preset) return;
+    settings.presetId = id;
+    applyPatch(preset.patch);
+    saveSettings();
+    renderPresetList();
+}
+
+function createPresetId() {
+    return 'user-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function parseTags(text) {
+    return text.split(',').map(t => t.trim().toLowerCase()).filter(t => t);
+}
+
+function savePreset() {
+    const preset = userPresets.find(p => p.id === settings.presetId);
+    if (!preset) {
+        savePresetAs();
+        return;
+    }
+    preset.patch = getPatch();
+    savePresets();
+}
+
+function savePresetAs() {
+    const current = findPreset(settings.presetId);
+    const name = prompt('Preset name:', current ? current.name : 'New Preset');
+    if (!name || !name.trim()) return;
+    const category = prompt('Category:', current ? current.category : 'User');
+    if (category === null) return;
+    const tags = prompt('Tags (comma separated):', current ? current.tags.join(', ') : '');
+    if (tags === null) return;
+
+    const preset = {
+        id: createPresetId(),
+        name: name.trim(),
+        category: category.trim() || 'User',
+        tags: parseTags(tags),
+        patch: getPatch()
+    };
+    userPresets.push(preset);
+    savePresets();
+    settings.presetId = preset.id;
+    saveSettings();
+    renderPresetFilters();
+    renderPresetList();
+}
+
+function renamePreset() {
+    const preset = userPresets.find(p => p.id === settings.presetId);
+    if (!preset) {
+        alert('Factory presets cannot be renamed. Use Duplicate or Save As first.');
+        return;
+    }
+    const name = prompt('Rename preset:', preset.name);
+    if (!name || !name.trim()) return;
+    preset.name = name.trim();
+    savePresets();
+    renderPresetList();
+}
+
+function duplicatePreset() {
+    const source = findPreset(settings.presetId);
+    if (!source) return;
+    const preset = {
+        id: createPresetId(),
+        name: `${source.name} Copy`,
+        category: source.category,
+        tags: [...source.tags],
+        patch: clonePatch(source.patch)
+    };
+    userPresets.push(preset);
+    savePresets();
+    loadPreset(preset.id);
+}
+
+function deletePreset() {
+    const index = userPresets.findIndex(p => p.id === settings.presetId);
+    if (index === -1) {
+        alert('Factory presets cannot be deleted.');
+        return;
+    }
+    if (!confirm(`Delete preset "${userPresets[index].name}"?`)) return;
+    userPresets.splice(index, 1);
+    savePresets();
+    settings.presetId = null;
+    saveSettings();
+    renderPresetFilters();
+    renderPresetList();
+}
+
+function initPresetUI() {
+    const resetSelect = document.getElementById('reset-preset');
+    resetSelect.innerHTML = '';
+    factoryPresets.forEach(preset => {
+        const opt = document.createElement('option');
+        opt.value = preset.id;
+        opt.text = preset.name;
+        resetSelect.appendChild(opt);
+    });
+    renderPresetFilters();
+    renderPresetList();
+}
+
+function renderPresetFilters() {
+    const presets = getAllPresets();
+    const categorySelect = document.getElementById('preset-category');
+    const tagSelect = document.getElementById('preset-tag');
+    const categories = [...new Set(presets.map(p => p.category))].sort();
+    const tags = [...new Set(presets.flatMap(p => p.tags))].sort();
+
+    const fill = (select, values, allLabel) => {
+        const current = select.value;
+        select.innerHTML = `<option value="">${allLabel}</option>`;
+        values.forEach(value => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.text = value;
+            select.appendChild(opt);
+        });
+        if (values.includes(current)) select.value = current;
+    };
+    fill(categorySelect, categories, 'All Categories');
+    fill(tagSelect, tags, 'All Tags');
+}
+
+function renderPresetList() {
+    const select = document.getElementById('preset-select');
+    const category = document.getElementById('preset-category').value;
+    const tag = document.getElementById('preset-tag').value;
+    const query = document.getElementById('preset-search').value.trim().toLowerCase();
+
+    const matches = getAllPresets().filter(p => {
+        if (category && p.category !== category) return false;
+        if (tag && !p.tags.includes(tag)) return false;
+        if (query) {
+            const haystack = [p.name, p.category, ...p.tags].join(' ').toLowerCase();
+            if (!haystack.includes(query)) return false;
+        }
+        return true;
+    });
+
+    select.innerHTML = '';
+    if (!matches.some(p => p.id === settings.presetId)) {
+        const current = findPreset(settings.presetId);
+        const opt = document.createElement('option');
+        opt.value = '';
+        opt.text = current ? current.name : '(Unsaved)';
+        opt.disabled = true;
+        select.appendChild(opt);
+    }
+
+    const groups = new Map();
+    matches.forEach(p => {
+        const label = p.factory ? `Factory - ${p.category}` : p.category;
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(p);
+    });
+    groups.forEach((presets, label) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        presets.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.text = p.name;
+            group.appendChild(opt);
+        });
+        select.appendChild(group);
+    });
+    select.value = matches.some(p => p.id === settings.presetId) ? settings.presetId : '';
+}
+
+// --- Patch Import / Export ---
+
+// Each entry upgrades a patch from version N to N + 1
+const patchMigrations = {
+    // v1: unversioned settings object that also carried the MIDI globals
+    1: (patch) => {
+        const upgraded = { ...patch };
+        globalSettingKeys.forEach(key => delete upgraded[key]);
+        return upgraded;
+    }
+};
+
+function migratePatch(patch, fromVersion) {
+    let upgraded = { ...patch };
+    for (let v = fromVersion; v < PATCH_VERSION; v++) {
+        if (patchMigrations[v]) upgraded = patchMigrations[v](upgraded);
+    }
+    return upgraded;
+}
+
+// Validators for structured (non-paramMap) patch data; return undefined to reject
+const patchValidators = {
+    seqPatterns: (patterns) => {
+        if (!Array.isArray(patterns)) return undefined;
+        const clean = createDefaultPatterns();
+        patterns.slice(0, SEQ_PATTERNS).forEach((pattern, p) => {
+            if (!pattern || !Array.isArray(pattern.steps)) return;
+            clean[p].length = [16, 32, 48, 64].includes(pattern.length) ? pattern.length : 16;
+            pattern.steps.slice(0, SEQ_MAX_STEPS).forEach((step, i) => {
+                if (!step) return;
+                const target = clean[p].steps[i];
+                if (Number.isFinite(step.note)) target.note = Math.max(0, Math.min(127, Math.round(step.note)));
+                if (Number.isFinite(step.velocity)) target.velocity = Math.max(1, Math.min(127, Math.round(step.velocity)));
+                if (Number.isFinite(step.gate)) target.gate = Math.max(0.05, Math.min(1, step.gate));
+                target.tie = !!step.tie;
+                target.rest = step.rest !== false;
+            });
+        });
+        return clean;
+    },
+    fxOrder: (order) => {
+        if (!Array.isArray(order) || order.length !== fxNames.length) return undefined;
+        return fxNames.every(name => order.includes(name)) ? [...order] : undefined;
+    },
+    seqChain: (chain) => {
+        if (!Array.isArray(chain)) return undefined;
+        const clean = chain.filter(p => Number.isInteger(p) && p >= 0 && p < SEQ_PATTERNS);
+        return clean.length ? clean : [0];
+    }
+};
+
+for (let i = 1; i <= 3; i++) {
+    patchValidators[`osc${i}_wavetable`] = (table) => {
+        if (!table || !Array.isArray(table.frames) || !table.frames.length) return undefined;
+        const frames = table.frames.slice(0, WT_MAX_FRAMES).map(frame => {
+            const clean = createHarmonicFrame([]);
+            ['real', 'imag'].forEach(part => {
+                if (!frame || !Array.isArray(frame[part])) return;
+                frame[part].slice(1, WT_HARMONICS + 1).forEach((v, n) => {
+                    if (Number.isFinite(v)) clean[part][n + 1] = Math.max(-1, Math.min(1, v));
+                });
+            });
+            return clean;
+        });
+        return { frames };
+    };
+}
+
+function snapToStep(value, step) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    return parseFloat((Math.round(value / step) * step).toFixed(decimals));
+}
+
+// Clamps numeric values into paramMap ranges; values that can't be repaired fall back to defaults
+function validatePatch(patch) {
+    const clean = {};
+    const warnings = [];
+
+    Object.keys(patch).forEach(key => {
+        if (globalSettingKeys.includes(key)) return;
+        if (!(key in defaultSettings)) {
+            warnings.push(`Unknown parameter "${key}" ignored`);
+            return;
+        }
+
+        const conf = paramMap[key];
+        let value = patch[key];
+
+        if (patchValidators[key]) {
+            const result = patchValidators[key](value);
+            if (result === undefined) {
+                warnings.push(`${key}: invalid data, using default`);
+                clean[key] = clonePatch(defaultSettings[key]);
+            } else {
+                clean[key] = result;
+            }
+        } else if (!conf) {
+            clean[key] = value;
+        } else if (conf.type === 'checkbox') {
+            clean[key] = value === true || value === 'true' || value === 1;
+        } else if (conf.type === 'select') {
+            if (conf.options.includes(value)) {
+                clean[key] = value;
+            } else {
+                warnings.push(`${key}: "${value}" is not a valid option, using default`);
+                clean[key] = defaultSettings[key];
+            }
+        } else {
+            value = parseFloat(value);
+            if (!Number.isFinite(value)) {
+                warnings.push(`${key}: "${patch[key]}" is not a number, using default`);
+                clean[key] = defaultSettings[key];
+                return;
+            }
+            if (value < conf.min || value > conf.max) {
+                warnings.push(`${key}: ${value} clamped to ${conf.min}..${conf.max}`);
+                value = Math.max(conf.min, Math.min(conf.max, value));
+            }
+            if (conf.step) value = snapToStep(value, conf.step);
+            clean[key] = value;
+        }
+    });
+
+    return { patch: clean, warnings };
+}
+
+function downloadJSON(data, filename) {
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+function toFileName(name) {
+    return name.trim().replace(/[^a-z0-9-_]+/gi, '_') || 'patch';
+}
+
+function exportPatch() {
+    const current = findPreset(settings.presetId);
+    const preset = {
+        name: current ? current.name : 'Untitled',
+        category: current ? current.category : 'User',
+        tags: current ? [...current.tags] : [],
+        patch: getPatch()
+    };
+    downloadJSON({ format: PATCH_FORMAT, version: PATCH_VERSION, preset }, `${toFileName(preset.name)}.json`);
+}
+
+function exportBank() {
+    const presets = userPresets.map(({ name, category, tags, patch }) => ({ name, category, tags, patch }));
+    downloadJSON({ format: BANK_FORMAT, version: PATCH_VERSION, presets }, 'synth-bank.json');
+}
+
+// Accepts patch files, bank files and bare settings objects from older builds
+function parsePatchFile(data, fileName) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('File does not contain a patch or bank.');
+    }
+
+    let version = 1;
+    let presets;
+    if (data.format === PATCH_FORMAT) {
+        version = data.version;
+        presets = [data.preset];
+    } else if (data.format === BANK_FORMAT) {
+        version = data.version;
+        presets = data.presets;
+    } else if (data.format === undefined) {
+        presets = [{ name: fileName.replace(/\.json$/i, ''), patch: data }];
+    } else {
+        throw new Error(`Unsupported file format "${data.format}".`);
+    }
+
+    if (!Number.isInteger(version) || version < 1) throw new Error('Missing or invalid schema version.');
+    if (version > PATCH_VERSION) {
+        throw new Error(`File was saved by a newer version (v${version}); this build reads up to v${PATCH_VERSION}.`);
+    }
+    if (!Array.isArray(presets) || !presets.length) throw new Error('File contains no presets.');
+    if (presets.some(p => !p || typeof p.patch !== 'object' || p.patch === null)) {
+        throw new Error('File contains an invalid preset entry.');
+    }
+
+    const warnings = [];
+    const imported = presets.map((p, i) => {
+        const result = validatePatch(migratePatch(p.patch, version));
+        const name = typeof p.name === 'string' && p.name.trim() ? p.name.trim() : `Imported ${i + 1}`;
+        result.warnings.forEach(w => warnings.push(`${name}: ${w}`));
+        return {
+            id: createPresetId() + i,
+            name,
+            category: typeof p.category === 'string' && p.category.trim() ? p.category.trim() : 'User',
+            tags: Array.isArray(p.tags) ? p.tags.filter(t => typeof t === 'string') : [],
+            patch: result.patch
+        };
+    });
+    return { presets: imported, warnings };
+}
+
+function importPatchFile(file) {
+    file.text().then(text => {
+        const { presets, warnings } = parsePatchFile(JSON.parse(text), file.name);
+        userPresets.push(...presets);
+        savePresets();
+        renderPresetFilters();
+        loadPreset(presets[0].id);
+
+        if (warnings.length) {
+            const more = warnings.length > 10 ? `\n...and ${warnings.length - 10} more` : '';
+            alert(`Imported ${presets.length} preset(s) with corrections:\n${warnings.slice(0, 10).join('\n')}${more}`);
+        }
+    }).catch(e => {
+        alert(`Import failed: ${e.message}`);
+    });
+}
+
+// --- MIDI Learn ---
+
+function cloneMidiMappings(mappings) {
+    return mappings.map(m => ({ ...m }));
+}
+
+function sanitizeMidiMappings(mappings) {
+    if (!Array.isArray(mappings)) return cloneMidiMappings(defaultMidiMappings);
+    return mappings
+        .filter(m => m && paramMap[m.param] && Number.isInteger(m.cc) && m.cc >= 0 && m.cc <= 127)
+        .map(m => {
+            const conf = paramMap[m.param];
+            return {
+                cc: m.cc,
+                param: m.param,
+                min: Number.isFinite(m.min) ? m.min : conf.min,
+                max: Number.isFinite(m.max) ? m.max : conf.max,
+                curve: m.curve === 'exp' ? 'exp' : 'linear',
+                invert: !!m.invert,
+                hiRes: !!m.hiRes && m.cc < 32
+            };
+        });
+}
+
+function initMidiLearn() {
+    // Never edit the shared default profile in place
+    settings.midiMappings = cloneMidiMappings(settings.midiMappings);
+
+    document.getElementById('midi-learn-btn').addEventListener('click', () => setMidiLearn(!midiLearnActive));
+    document.getElementById('midi-map-default-btn').addEventListener('click', () => {
+        settings.midiMappings = cloneMidiMappings(defaultMidiMappings);
+        saveSettings();
+        renderMidiMappings();
+    });
+    document.getElementById('midi-map-clear-btn').addEventListener('click', () => {
+        settings.midiMappings = [];
+        saveSettings();
+        renderMidiMappings();
+    });
+
+    // Capture phase so a learn click never reaches the control's own handlers
+    const pickTarget = (e) => {
+        if (!midiLearnActive) return;
+        const el = e.target.closest('[data-param]');
+        if (!el || !uiElements[el.dataset.param]) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.type === 'mousedown') selectLearnTarget(el.dataset.param);
+    };
+    document.addEventListener('mousedown', pickTarget, true);
+    document.addEventListener('click', pickTarget, true);
+
+    renderMidiMappings();
+}
+
+function setMidiLearn(active) {
+    midiLearnActive = active;
+    document.body.classList.toggle('midi-learn', active);
+    document.getElementById('midi-learn-btn').classList.toggle('active', active);
+    if (!active) selectLearnTarget(null);
+}
+
+function selectLearnTarget(param) {
+    if (midiLearnTarget && uiElements[midiLearnTarget]) {
+        uiElements[midiLearnTarget].classList.remove('learn-target');
+    }
+    midiLearnTarget = param;
+    if (param && uiElements[param]) uiElements[param].classList.add('learn-target');
+}
+
+function learnCC(cc) {
+    const param = midiLearnTarget;
+    const conf = paramMap[param];
+    const mapping = {
+        cc,
+        param,
+        min: conf.min !== undefined ? conf.min : 0,
+        max: conf.max !== undefined ? conf.max : 1,
+        curve: 'linear',
+        invert: false,
+        hiRes: false
+    };
+    // One control per CC and one CC per control
+    settings.midiMappings = settings.midiMappings.filter(m => m.cc !== cc && m.param !== param);
+    settings.midiMappings.push(mapping);
+
+    selectLearnTarget(null);
+    saveSettings();
+    renderMidiMappings();
+    lastLearned = { mapping, time: performance.now() };
+}
+
+function renderMidiMappings() {
+    const body = document.getElementById('midi-map-body');
+    body.innerHTML = '';
+
+    document.querySelectorAll('.midi-mapped').forEach(el => el.classList.remove('midi-mapped'));
+
+    settings.midiMappings.forEach((mapping, index) => {
+        if (uiElements[mapping.param]) uiElements[mapping.param].classList.add('midi-mapped');
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${mapping.param}</td>
+            <td><input type="number" data-field="cc" min="0" max="127" step="1" value="${mapping.cc}"></td>
+            <td><input type="number" data-field="min" step="any" value="${mapping.min}"></td>
+            <td><input type="number" data-field="max" step="any" value="${mapping.max}"></td>
+            <td>
+                <select data-field="curve">
+                    <option value="linear">Lin</option>
+                    <option value="exp">Exp</option>
+                </select>
+            </td>
+            <td><input type="checkbox" data-field="invert"></td>
+            <td><input type="checkbox" data-field="hiRes"></td>
+            <td><button class="midi-map-remove" title="Remove mapping">&times;</button></td>
+        `;
+        row.querySelector('[data-field="curve"]').value = mapping.curve;
+        row.querySelector('[data-field="invert"]').checked = mapping.invert;
+        row.querySelector('[data-field="hiRes"]').checked = mapping.hiRes;
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                if (input.type === 'checkbox') mapping[field] = input.checked;
+                else if (field === 'curve') mapping[field] = input.value;
+                else if (input.value !== '') mapping[field] = field === 'cc' ? parseInt(input.value) : parseFloat(input.value);
+                if (mapping.cc >= 32) mapping.hiRes = false;
+                saveSettings();
+                renderMidiMappings();
+            });
+        });
+        row.querySelector('.midi-map-remove').addEventListener('click', () => {
+            settings.midiMappings.splice(index, 1);
+            saveSettings();
+            renderMidiMappings();
+        });
+        body.appendChild(row);
+    });
+}